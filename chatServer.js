@@ -1,30 +1,244 @@
 const { Server } = require('socket.io');
+const Child = require('./models/Child');
+const ChatMessage = require('./models/ChatMessage');
+const { authenticateToken, canAccessChild } = require('./middleware/auth');
+const { checkObject } = require('./middleware/validate');
+const { ApiError } = require('./middleware/errors');
+const { roomFor, userRoom, checkEditable, chatRecipients } = require('./utils/chat');
+const schemas = require('./schemas/chat');
 
-function initChatServer(httpServer) {
-  const io = new Server(httpServer, { cors: { origin: "*" } });
+// Chat rooms are per child: child_<childId>
+const CHILD_ROOM = /^child_([0-9a-f]{24})$/i;
+
+// Token from the Socket.IO auth payload (io(url, { auth: { token } })) or an Authorization: Bearer header
+function handshakeToken(handshake) {
+  const token = handshake.auth && handshake.auth.token;
+  if (typeof token === 'string' && token) return token.replace(/^Bearer /, '');
+  const header = handshake.headers.authorization;
+  return header && header.startsWith('Bearer ') ? header.split(' ')[1] : null;
+}
+
+// Rejected handshakes reach the client as connect_error with err.data.code
+const handshakeError = (message, code) => Object.assign(new Error(message), { data: { code } });
+
+async function authenticateSocket(socket, next) {
+  const token = handshakeToken(socket.handshake);
+  if (!token) return next(handshakeError('Missing token', 'UNAUTHORIZED'));
+  try {
+    const { user, error } = await authenticateToken(token);
+    if (!user) return next(handshakeError(error, 'UNAUTHORIZED'));
+    socket.data.user = user;
+    socket.data.token = token;
+    return next();
+  } catch (err) {
+    console.error('[Chat] Error authenticating socket:', err);
+    return next(handshakeError('Server error', 'INTERNAL_ERROR'));
+  }
+}
+
+// Accepts a plain room string or { room } (the format the frontend has always sent)
+const toPayload = (payload) => (typeof payload === 'string' ? { room: payload } : payload || {});
+
+function checkPayload(payload, rules) {
+  const details = checkObject(payload, rules, 'payload.');
+  if (details.length > 0) throw new ApiError(400, 'Invalid request', { code: 'VALIDATION_ERROR', details });
+}
+
+// Re-check the handshake token on every event, so expired tokens, deleted users and
+// revoked sessions (logout-all, password reset) lose the socket they already hold
+async function reauthenticate(socket) {
+  const { user, error } = await authenticateToken(socket.data.token);
+  if (!user) throw new ApiError(401, error);
+  socket.data.user = user;
+  return user;
+}
+
+/**
+ * Child of a room the socket has joined and its user may still access; sending,
+ * typing and reading need both. A socket whose access was revoked leaves the room.
+ */
+async function joinedChild(socket, room) {
+  const match = CHILD_ROOM.exec(room);
+  if (!match || !socket.rooms.has(room)) throw new ApiError(403, 'Join the room first');
+
+  const child = await Child.findById(match[1]).select('caretakerId authorizedDoctors').lean();
+  if (!child || !canAccessChild(socket.data.user, child)) {
+    socket.leave(room);
+    if (!child) throw new ApiError(404, 'Child not found');
+    throw new ApiError(403, 'Access denied. Request access from caretaker first.');
+  }
+  return child;
+}
+
+// A message the socket's user may still change, in a room the socket has joined
+async function loadEditableMessage(socket, messageId) {
+  const message = await ChatMessage.findById(messageId);
+  if (!message) throw new ApiError(404, 'Message not found');
+  await joinedChild(socket, roomFor(message.childId));
+  checkEditable(message, socket.data.user);
+  return message;
+}
+
+const blankMessage = () => new ApiError(400, 'Invalid request', {
+  code: 'VALIDATION_ERROR',
+  details: [{ field: 'payload.message', message: 'must not be blank' }],
+});
+
+/**
+ * Wrap a socket event handler: the user is re-authenticated and passed to the
+ * handler, whose result is sent through the client's acknowledgement callback as
+ * { success: true, ... }; errors are sent as the usual error envelope, or emitted
+ * as chat_error when the client passed no callback. A socket that fails
+ * re-authentication is disconnected after the error is sent.
+ */
+const handle = (socket, event, handler) => async (payload, ack) => {
+  let body;
+  let user;
+  let unauthorized = false;
+  try {
+    user = await reauthenticate(socket);
+    body = { success: true, ...(await handler(toPayload(payload), user)) };
+  } catch (err) {
+    unauthorized = !user && err instanceof ApiError;
+    if (!(err instanceof ApiError)) console.error(`[Chat] Error handling ${event}:`, err);
+    body = err instanceof ApiError
+      ? { error: err.message, code: err.code, ...(err.details ? { details: err.details } : {}) }
+      : { error: 'Server error', code: 'INTERNAL_ERROR' };
+  }
+  if (typeof ack === 'function') ack(body);
+  else if (body.error) socket.emit('chat_error', { event, ...body });
+  if (unauthorized) socket.disconnect(true);
+};
+
+/**
+ * Socket.IO chat server.
+ * Every connection must authenticate with an access token; sockets can only join
+ * the rooms of children their user may access (same rules as requireChildAccess),
+ * both checked again on every event, and messages are stored in ChatMessage before they are broadcast. Each message
+ * tracks delivery and read state per recipient (delivered / read events).
+ * @param {http.Server} httpServer
+ * @param {Object} options - { corsOrigin } (the same origin check as the REST API)
+ */
+function initChatServer(httpServer, { corsOrigin } = {}) {
+  const io = new Server(httpServer, { cors: { origin: corsOrigin, credentials: true } });
+
+  io.use(authenticateSocket);
 
   io.on('connection', (socket) => {
-    console.log('Client connected:', socket.id);
-
-    socket.on('join_room', (payload) => {
-      try {
-        const room = typeof payload === 'string' ? payload : payload?.room;
-        if (room && typeof room === 'string') {
-          socket.join(room);
-        } else {
-          console.warn('join_room called without valid room:', payload);
-        }
-      } catch (e) {
-        console.error('Error handling join_room:', e);
+    console.log(`[Chat] Client connected: ${socket.id} (user ${socket.data.user.id})`);
+    // Lets the REST routes reach this user's sockets (utils/chat evictUser)
+    socket.join(userRoom(socket.data.user.id));
+
+    socket.on('join_room', handle(socket, 'join_room', async (payload, user) => {
+      checkPayload(payload, schemas.socket.joinRoom);
+      const match = CHILD_ROOM.exec(payload.room);
+      if (!match) {
+        throw new ApiError(400, 'Invalid request', {
+          code: 'VALIDATION_ERROR',
+          details: [{ field: 'payload.room', message: 'must be a child room (child_<childId>)' }],
+        });
       }
-    });
 
-    socket.on('chat_message', (data) => {
-      const { room, message, sender } = data;
-      io.to(room).emit('chat_message', { message, sender, timestamp: new Date(), room });
-    });
+      const child = await Child.findById(match[1]).select('caretakerId authorizedDoctors').lean();
+      if (!child) throw new ApiError(404, 'Child not found');
+      if (!canAccessChild(user, child)) throw new ApiError(403, 'Access denied. Request access from caretaker first.');
+
+      socket.join(payload.room);
+
+      // Everything sent to this user while they were away has now reached them
+      const deliveredAt = new Date();
+      const messageIds = await ChatMessage.markReceipts(match[1], user.id, 'deliveredAt', { at: deliveredAt });
+      if (messageIds.length > 0) io.to(payload.room).emit('delivered', { room: payload.room, userId: user.id, messageIds, deliveredAt });
+      return { room: payload.room };
+    }));
+
+    socket.on('chat_message', handle(socket, 'chat_message', async (payload, user) => {
+      checkPayload(payload, schemas.socket.chatMessage);
+      const text = payload.message.trim();
+      if (!text) throw blankMessage();
+
+      const child = await joinedChild(socket, payload.room);
+      const childId = child._id;
+      // Recipients with a socket in the room get the message right away
+      const online = new Set((await io.in(payload.room).fetchSockets()).map(s => s.data.user.id));
+      const now = new Date();
+      const receipts = (await chatRecipients(child, user.id)).map(userId => ({ userId, deliveredAt: online.has(userId) ? now : null }));
+
+      // Persist first, so nothing is broadcast that GET /api/chat/messages won't return
+      const saved = await ChatMessage.create({
+        childId,
+        senderId: user.id,
+        senderName: user.name || user.email,
+        senderRole: user.role,
+        message: text,
+        receipts,
+        timestamp: now,
+      });
+      const message = {
+        _id: saved._id,
+        room: payload.room,
+        childId: saved.childId,
+        message: saved.message,
+        sender: saved.senderName,
+        senderId: saved.senderId,
+        senderRole: saved.senderRole,
+        receipts: saved.receipts,
+        timestamp: saved.timestamp,
+      };
+      io.to(payload.room).emit('chat_message', message);
+      return { message };
+    }));
+
+    // Edit within the edit window; the previous text is kept in `edits`
+    socket.on('edit_message', handle(socket, 'edit_message', async (payload) => {
+      checkPayload(payload, schemas.socket.editMessage);
+      const text = payload.message.trim();
+      if (!text) throw blankMessage();
+      const message = await loadEditableMessage(socket, payload.messageId);
+      if (text === message.message) return { messageId: message._id, editedAt: message.editedAt || null };
+
+      const editedAt = new Date();
+      message.edits.push({ message: message.message, editedAt });
+      message.message = text;
+      message.editedAt = editedAt;
+      await message.save();
+
+      io.to(roomFor(message.childId)).emit('message_edited', { _id: message._id, room: roomFor(message.childId), message: text, editedAt });
+      return { messageId: message._id, editedAt };
+    }));
+
+    // Soft delete within the edit window; the text stays stored for the audit trail
+    socket.on('delete_message', handle(socket, 'delete_message', async (payload, user) => {
+      checkPayload(payload, schemas.socket.deleteMessage);
+      const message = await loadEditableMessage(socket, payload.messageId);
+
+      message.deletedAt = new Date();
+      message.deletedBy = user.id;
+      await message.save();
+
+      io.to(roomFor(message.childId)).emit('message_deleted', { _id: message._id, room: roomFor(message.childId), deletedAt: message.deletedAt });
+      return { messageId: message._id, deletedAt: message.deletedAt };
+    }));
+
+    // Typing indicator, relayed to the other sockets in the room; nothing is stored
+    socket.on('typing', handle(socket, 'typing', async (payload, user) => {
+      checkPayload(payload, schemas.socket.typing);
+      await joinedChild(socket, payload.room);
+      socket.to(payload.room).emit('typing', { room: payload.room, userId: user.id, name: user.name || user.email, typing: payload.typing });
+      return {};
+    }));
+
+    // Read receipts: everything up to messageId (or the whole room) has been read by this user
+    socket.on('read', handle(socket, 'read', async (payload, user) => {
+      checkPayload(payload, schemas.socket.read);
+      const { _id: childId } = await joinedChild(socket, payload.room);
+      const readAt = new Date();
+      const messageIds = await ChatMessage.markReceipts(childId, user.id, 'readAt', { upTo: payload.messageId, at: readAt });
+      if (messageIds.length > 0) io.to(payload.room).emit('read', { room: payload.room, userId: user.id, messageIds, readAt });
+      return { messageIds };
+    }));
 
-    socket.on('disconnect', () => console.log('Client disconnected'));
+    socket.on('disconnect', () => console.log(`[Chat] Client disconnected: ${socket.id}`));
   });
 
   return io;
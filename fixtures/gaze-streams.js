@@ -0,0 +1,106 @@
+/**
+ * Synthetic gaze streams for the eye-tracking task
+ *
+ * Generates the samples a webcam tracker would post for a trial, so the task
+ * can be exercised without a camera (scripts/simulate-gaze-session.js, test/gaze.test.js).
+ * Streams are deterministic for a given seed.
+ *
+ * Profiles:
+ *   social        mostly looks at the face / social image and follows the cue
+ *   non-social    prefers the geometric pattern, looks at the wrong object after the cue
+ *   random        wanders over the screen
+ *   lost-tracking the tracker loses the eyes most of the time (trials get excluded)
+ */
+
+const { createRng } = require('../utils/games/random');
+
+const PROFILES = {
+  social: { socialShare: 0.75, follows: 0.9, validRate: 0.97, latencyMs: [300, 700] },
+  'non-social': { socialShare: 0.25, follows: 0.2, validRate: 0.97, latencyMs: [600, 1400] },
+  random: { socialShare: null, follows: null, validRate: 0.95, latencyMs: [300, 1500] },
+  'lost-tracking': { socialShare: 0.5, follows: 0.5, validRate: 0.3, latencyMs: [500, 1000] },
+};
+
+const centre = (rect) => ({ x: (rect.x0 + rect.x1) / 2, y: (rect.y0 + rect.y1) / 2 });
+
+// A point inside an AOI with some jitter around its centre
+function pointIn(rng, rect) {
+  const c = centre(rect);
+  const jitter = (span) => (rng() - 0.5) * span * 0.6;
+  return { x: c.x + jitter(rect.x1 - rect.x0), y: c.y + jitter(rect.y1 - rect.y0) };
+}
+
+const between = (rng, [min, max]) => min + rng() * (max - min);
+
+// Where the eyes are at time t: a list of { until, aoi } segments ('screen' = anywhere)
+function planPreference(rng, trial, profile) {
+  const social = trial.socialSide;
+  const other = social === 'left' ? 'right' : 'left';
+  const segments = [];
+  let t = between(rng, [150, 400]); // initial look at the centre of the screen
+  segments.push({ until: t, aoi: 'screen' });
+  while (t < trial.durationMs) {
+    const look = profile.socialShare === null
+      ? ['left', 'right', 'screen'][Math.floor(rng() * 3)]
+      : (rng() < profile.socialShare ? social : other);
+    t += between(rng, [300, 900]);
+    segments.push({ until: t, aoi: look });
+  }
+  return segments;
+}
+
+function planGazeFollow(rng, trial, profile) {
+  const wrong = trial.cue === 'left' ? 'right' : 'left';
+  const shift = trial.cueAt + between(rng, profile.latencyMs);
+  const target = profile.follows === null
+    ? (rng() < 0.5 ? 'left' : 'right')
+    : (rng() < profile.follows ? trial.cue : wrong);
+  return [
+    { until: shift, aoi: 'face' },
+    { until: shift + between(rng, [600, 1200]), aoi: target },
+    { until: trial.durationMs + 1, aoi: rng() < 0.5 ? 'face' : target },
+  ];
+}
+
+/**
+ * Samples for one trial as posted to /api/games/eye-tracking/trial
+ * @param {Object} trial - trial from the start/event response
+ * @param {string} profileName - key of PROFILES
+ * @param {Object} options - { seed, hz } (default 30 Hz, like most webcam trackers)
+ * @returns {Array} [{ t, x, y, valid }]
+ */
+function gazeStream(trial, profileName = 'social', { seed = 1, hz = 30 } = {}) {
+  const profile = PROFILES[profileName];
+  if (!profile) throw new Error(`Unknown gaze profile: ${profileName}`);
+
+  const rng = createRng(seed + trial.id * 7919);
+  const plan = trial.type === 'preference' ? planPreference(rng, trial, profile) : planGazeFollow(rng, trial, profile);
+  const screen = { x0: 0.1, y0: 0.1, x1: 0.9, y1: 0.9 };
+
+  const samples = [];
+  const step = 1000 / hz;
+  let segment = 0;
+  let point = null;
+  for (let t = 0; t <= trial.durationMs; t += step) {
+    while (plan[segment].until < t && segment < plan.length - 1) {
+      segment++;
+      point = null;
+    }
+    // Hold a fixation point per segment, with small per-sample noise
+    if (!point) point = pointIn(rng, trial.aois[plan[segment].aoi] || screen);
+    if (rng() > profile.validRate) {
+      samples.push({ t: Math.round(t), valid: false });
+      continue;
+    }
+    const noise = () => (rng() - 0.5) * 0.02;
+    samples.push({
+      t: Math.round(t),
+      x: Math.round(Math.min(1, Math.max(0, point.x + noise())) * 1000) / 1000,
+      y: Math.round(Math.min(1, Math.max(0, point.y + noise())) * 1000) / 1000,
+      valid: true,
+    });
+  }
+  return samples;
+}
+
+module.exports = { PROFILES, gazeStream };
@@ -1,16 +1,46 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Child = require('../models/Child');
+const User = require('../models/User');
 
-exports.requireAuth = (req, res, next) => {
+/**
+ * Verify an access token and load its user.
+ * Resolves to { user } (the req.user shape) or { status: 401, error } for a bad,
+ * revoked or orphaned token; database errors reject.
+ */
+const authenticateToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return { status: 401, error: 'Invalid token' };
+  }
+
+  // Revocation check: deleted users and tokens issued before a logout-all are rejected
+  const user = await User.findById(decoded.id).select('name email role tokenVersion doctorVerified').lean();
+  if (!user) return { status: 401, error: 'User no longer exists' };
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) return { status: 401, error: 'Token revoked' };
+
+  const authUser = { id: user._id.toString(), email: user.email, role: user.role, name: user.name };
+  if (user.role === 'doctor') authUser.doctorVerified = user.doctorVerified !== false;
+  return { user: authUser };
+};
+
+exports.authenticateToken = authenticateToken;
+
+exports.requireAuth = async (req, res, next) => {
   const auth = req.headers.authorization;
   if (!auth || !auth.startsWith('Bearer ')) return res.status(401).json({ error: 'Missing token' });
 
-  const token = auth.split(' ')[1];
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // { id, email, role }
+    const { user, status, error } = await authenticateToken(auth.split(' ')[1]);
+    if (!user) return res.status(status).json({ error });
+
+    req.user = user;
     return next();
   } catch (err) {
-    return res.status(401).json({ error: 'Invalid token' });
+    console.error('[Auth] Error checking token revocation:', err);
+    return res.status(500).json({ error: 'Server error' });
   }
 };
 
@@ -19,3 +49,76 @@ exports.requireAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
   return next();
 };
+
+// Doctors whose application is still pending (or was rejected) may not use
+// clinical features. Other roles pass straight through.
+exports.blockUnverifiedDoctors = (req, res, next) => {
+  if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
+  if (req.user.role === 'doctor' && !req.user.doctorVerified) {
+    return res.status(403).json({ error: 'Your doctor account is awaiting admin verification' });
+  }
+  return next();
+};
+
+const isSingleDoctorMode = () => String(process.env.SINGLE_DOCTOR_MODE).toLowerCase() === 'true';
+
+exports.isSingleDoctorMode = isSingleDoctorMode;
+
+// Who may read a child's records:
+// - the caretaker who owns the child
+// - admins
+// - verified doctors in child.authorizedDoctors (every verified doctor in single doctor mode)
+const canAccessChild = (user, child) => {
+  if (!user || !child) return false;
+  if (user.role === 'admin') return true;
+
+  const caretakerId = child.caretakerId && (child.caretakerId._id || child.caretakerId);
+  if (caretakerId && caretakerId.toString() === user.id) return true;
+
+  if (user.role === 'doctor') {
+    if (!user.doctorVerified) return false;
+    if (isSingleDoctorMode()) return true;
+    return (child.authorizedDoctors || []).some(docId => (docId._id || docId).toString() === user.id);
+  }
+  return false;
+};
+
+exports.canAccessChild = canAccessChild;
+
+/**
+ * Resolve the child a request is about and reject users who may not see it.
+ * `from` is "<params|body|query>.<field>". Without a Model the field holds a
+ * childId; with one it holds that record's id and the record's childId is used
+ * (assessments, reports, game sessions, media).
+ * On success the child document is available as req.child.
+ */
+exports.requireChildAccess = (from, Model) => async (req, res, next) => {
+  if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
+
+  const [location, field] = from.split('.');
+  const id = req[location] && req[location][field];
+  if (!id) return res.status(400).json({ error: `${field} is required` });
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: `Invalid ${field}` });
+
+  try {
+    let childId = id;
+    if (Model) {
+      const record = await Model.findById(id).select('childId').lean();
+      if (!record) return res.status(404).json({ error: `${Model.modelName} not found` });
+      childId = record.childId;
+    }
+
+    const child = await Child.findById(childId);
+    if (!child) return res.status(404).json({ error: 'Child not found' });
+
+    if (!canAccessChild(req.user, child)) {
+      return res.status(403).json({ error: 'Access denied. Request access from caretaker first.' });
+    }
+
+    req.child = child;
+    return next();
+  } catch (err) {
+    console.error('[ChildAccess] Error resolving child:', err);
+    return res.status(500).json({ error: 'Error checking child access' });
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * Error envelope shared by every route:
+ *   { error: "Human readable message", code: "NOT_FOUND", details?: [{ field, message }] }
+ */
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+/**
+ * Error that carries its HTTP status, code and field details to the error handler
+ */
+class ApiError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || codeForStatus(status);
+    this.details = details;
+  }
+}
+
+/**
+ * Send an error in the shared envelope
+ */
+function sendError(res, status, message, { code, details } = {}) {
+  const body = { error: message, code: code || codeForStatus(status) };
+  if (details && details.length > 0) body.details = details;
+  return res.status(status).json(body);
+}
+
+/**
+ * Bring hand-written error responses into the envelope: `{ message }` becomes
+ * `{ error }`, `success: false` is dropped and a code is added from the status.
+ * Mounted before the routers.
+ */
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      const { success, message, ...rest } = body;
+      const normalized = { ...rest, error: body.error || message || 'Request failed', code: body.code || codeForStatus(res.statusCode) };
+      if (body.error && message) normalized.message = message;
+      return json(normalized);
+    }
+    return json(body);
+  };
+  next();
+}
+
+/**
+ * Global error handler. Mongoose cast/validation errors and malformed JSON are
+ * client errors; anything else is a 500.
+ */
+// eslint-disable-next-line no-unused-vars
+function errorHandler(err, req, res, next) {
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.message, { code: err.code, details: err.details });
+  }
+  if (err.name === 'CastError') {
+    return sendError(res, 400, `Invalid ${err.path}`, {
+      code: 'INVALID_ID',
+      details: [{ field: err.path, message: `Cannot interpret "${err.value}" as ${err.kind}` }]
+    });
+  }
+  if (err.name === 'ValidationError' && err.errors) {
+    return sendError(res, 400, 'Validation failed', {
+      code: 'VALIDATION_ERROR',
+      details: Object.values(err.errors).map(e => ({ field: e.path, message: e.message }))
+    });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Malformed JSON body', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body too large');
+  }
+
+  console.error('🔥 Error:', err);
+  return sendError(res, 500, 'Internal Server Error');
+}
+
+module.exports = { ApiError, sendError, codeForStatus, errorEnvelope, errorHandler };
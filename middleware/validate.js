@@ -0,0 +1,127 @@
+/**
+ * Declarative request validation
+ *
+ * Schemas live in schemas/<router>.js and describe params, query and body:
+ *
+ *   validate({
+ *     params: { childId: { type: 'objectId', required: true } },
+ *     body: { status: { type: 'string', enum: ['approved', 'denied'], required: true } }
+ *   })
+ *
+ * Rule keys: type (string | number | integer | boolean | objectId | email |
+ * date | object | array | any), required, nullable, enum, min/max (numbers),
+ * minLength/maxLength (strings and arrays), pattern, items (rule for array
+ * entries) and properties (rules for object fields).
+ * Numbers and booleans sent as strings (query strings, multipart forms) are
+ * converted in place, and emails are trimmed and lowercased (User.email is
+ * stored lowercase). Unknown fields are left alone.
+ */
+
+const mongoose = require('mongoose');
+const { sendError } = require('./errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const describe = (rule) => (rule.type === 'objectId' ? 'a valid id' : `a${/^[aeiou]/.test(rule.type) ? 'n' : ''} ${rule.type}`);
+
+// Convert string input to the rule's type; returns the original value when it can't
+function coerce(value, type) {
+  if (typeof value !== 'string') return value;
+  if ((type === 'number' || type === 'integer') && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  if (type === 'email') return value.trim().toLowerCase();
+  return value;
+}
+
+function typeMatches(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'objectId': return typeof value === 'string' && mongoose.Types.ObjectId.isValid(value) && /^[0-9a-f]{24}$/i.test(value);
+    case 'email': return typeof value === 'string' && EMAIL_PATTERN.test(value.trim());
+    case 'date': return (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime());
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Check `value` against `rule`; pushes { field, message } entries into `details`.
+ * @returns the (possibly coerced) value
+ */
+function checkValue(value, rule, field, details) {
+  const missing = value === undefined || value === '' || (value === null && !rule.nullable);
+  if (missing) {
+    if (rule.required) details.push({ field, message: 'is required' });
+    return value;
+  }
+  if (value === null) return value;
+
+  const type = rule.type || 'any';
+  const coerced = coerce(value, type);
+  if (!typeMatches(coerced, type)) {
+    details.push({ field, message: `must be ${describe(rule)}` });
+    return value;
+  }
+
+  if (rule.enum && !rule.enum.includes(coerced)) {
+    details.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+  }
+  if (typeof coerced === 'number') {
+    if (rule.min !== undefined && coerced < rule.min) details.push({ field, message: `must be at least ${rule.min}` });
+    if (rule.max !== undefined && coerced > rule.max) details.push({ field, message: `must be at most ${rule.max}` });
+  }
+  if (typeof coerced === 'string' || Array.isArray(coerced)) {
+    const unit = Array.isArray(coerced) ? 'items' : 'characters';
+    if (rule.minLength !== undefined && coerced.length < rule.minLength) details.push({ field, message: `must have at least ${rule.minLength} ${unit}` });
+    if (rule.maxLength !== undefined && coerced.length > rule.maxLength) details.push({ field, message: `must have at most ${rule.maxLength} ${unit}` });
+  }
+  if (rule.pattern && typeof coerced === 'string' && !rule.pattern.test(coerced)) {
+    details.push({ field, message: rule.patternMessage || 'has an invalid format' });
+  }
+  if (rule.items && Array.isArray(coerced)) {
+    coerced.forEach((item, idx) => {
+      coerced[idx] = checkValue(item, rule.items, `${field}[${idx}]`, details);
+    });
+  }
+  if (rule.properties && typeMatches(coerced, 'object')) {
+    checkObject(coerced, rule.properties, `${field}.`, details);
+  }
+  return coerced;
+}
+
+/**
+ * Check every field of `source` described by `rules`, coercing in place
+ * @returns {Array} details
+ */
+function checkObject(source, rules, prefix = '', details = []) {
+  Object.entries(rules).forEach(([key, rule]) => {
+    const value = checkValue(source ? source[key] : undefined, rule, `${prefix}${key}`, details);
+    if (source && source[key] !== undefined && value !== source[key]) source[key] = value;
+  });
+  return details;
+}
+
+/**
+ * Build middleware for a { params, query, body } schema.
+ * Responds 400 VALIDATION_ERROR with every problem found.
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const details = [];
+    ['params', 'query', 'body'].forEach((part) => {
+      if (!schema[part]) return;
+      if (part === 'body' && (req.body === undefined || req.body === null)) req.body = {};
+      checkObject(req[part], schema[part], `${part}.`, details);
+    });
+    if (details.length > 0) {
+      return sendError(res, 400, 'Invalid request', { code: 'VALIDATION_ERROR', details });
+    }
+    next();
+  };
+}
+
+module.exports = { validate, checkObject, checkValue };
@@ -4,10 +4,17 @@ const AssessmentSchema = new mongoose.Schema({
   childId: { type: mongoose.Schema.Types.ObjectId, ref: 'Child', required: true },
   caretakerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   questionnaireId: { type: mongoose.Schema.Types.ObjectId, ref: 'Questionnaire', required: true },
+  // QuestionnaireVersion the answers belong to (missing on legacy assessments = version 1)
+  questionnaireVersion: { type: Number },
+  locale: { type: String }, // language the questionnaire was shown in; answers are stored language-independent
   // Keep type for backward compatibility with existing assessments
   type: { type: String, default: 'MCHAT' },
-  answers: { type: Object, required: true },
+  // { <questionId>: <answer option> } - drafts start empty and are filled by autosave,
+  // so answers are only required once completed
+  answers: { type: Object, required: function() { return this.progress?.status === 'completed'; } },
   score: { type: Number },
+  subscores: { type: Object }, // { <domain or domain/subscale>: { score, items, failedItems } }
+  criticalFailures: { type: Number },
   risk: { type: String, enum: ['Low', 'Medium', 'Moderate', 'High'] },
   llmAnalysis: { 
     summary: { type: String }, // LLM-generated summary
@@ -15,6 +22,32 @@ const AssessmentSchema = new mongoose.Schema({
     keyFindings: [{ type: String }], // Array of key findings
     generatedAt: { type: Date }
   },
+  // Result of the follow-up interview (M-CHAT-R/F), kept next to the original screen
+  followUp: {
+    followUpId: { type: mongoose.Schema.Types.ObjectId, ref: 'FollowUp' },
+    finalScore: { type: Number },
+    finalRisk: { type: String, enum: ['Low', 'Medium', 'Moderate', 'High'] },
+    completedAt: { type: Date }
+  },
+  // Age eligibility at submission time (see AGE_ELIGIBILITY_MODE)
+  ageCheck: {
+    eligible: { type: Boolean },
+    childAgeMonths: { type: Number },
+    minMonths: { type: Number },
+    maxMonths: { type: Number },
+    warning: { type: String },
+    overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // doctor who allowed an out-of-range submission
+  },
+  // Re-scores against other questionnaire versions; the original score above is never overwritten
+  rescores: [{
+    version: { type: Number },
+    score: { type: Number },
+    risk: { type: String, enum: ['Low', 'Medium', 'Moderate', 'High'] },
+    subscores: { type: Object },
+    criticalFailures: { type: Number },
+    rescoredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rescoredAt: { type: Date, default: Date.now }
+  }],
   // Attempt/Round tracking - which session/round this assessment belongs to
   attemptNumber: { type: Number, default: 1 },
   // Progress tracking fields
@@ -26,10 +59,24 @@ const AssessmentSchema = new mongoose.Schema({
   },
   reviewedByDoctor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   reviewedAt: { type: Date },
+  completedAt: { type: Date }, // when it was submitted or its draft finalized; createdAt is when the draft was started
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+AssessmentSchema.index({ childId: 1, 'progress.status': 1 });
+// One completed assessment per attempt; concurrent submissions retry with the next number (saveWithNextAttempt)
+AssessmentSchema.index(
+  { childId: 1, questionnaireId: 1, attemptNumber: 1 },
+  { unique: true, partialFilterExpression: { 'progress.status': 'completed' } }
+);
+
+// Assessment.find(...).completed() - skip drafts that are still being filled out.
+// Legacy documents without a progress block count as completed.
+AssessmentSchema.query.completed = function() {
+  return this.where({ 'progress.status': { $nin: ['draft', 'in-progress'] } });
+};
+
 // Auto-update updatedAt on save
 AssessmentSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
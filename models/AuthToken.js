@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Single-use, expiring tokens sent by email (password reset, email verification).
+// Only a SHA-256 hash of the token is stored.
+const AuthTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['password-reset', 'email-verification'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+AuthTokenSchema.index({ userId: 1, purpose: 1 });
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Message in a child's chat room (socket room `child_<childId>`).
+// The sender is the authenticated socket user, never a client-supplied name.
+const ChatMessageSchema = new mongoose.Schema({
+  childId: { type: mongoose.Schema.Types.ObjectId, ref: 'Child', required: true },
+  senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  senderName: { type: String }, // display name when the message was sent
+  senderRole: { type: String, enum: ['caretaker', 'admin', 'doctor'] },
+  message: { type: String, required: true, trim: true, maxlength: 2000 },
+  // One entry per user who could see the child's room when the message was sent (not the sender)
+  receipts: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    deliveredAt: { type: Date, default: null }, // reached one of the user's sockets
+    readAt: { type: Date, default: null }
+  }],
+  // Audit trail: the text before each edit. Deleted messages keep their text; only admins see either.
+  edits: [{
+    _id: false,
+    message: { type: String },
+    editedAt: { type: Date }
+  }],
+  editedAt: { type: Date },
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  timestamp: { type: Date, default: Date.now }
+});
+
+ChatMessageSchema.index({ childId: 1, timestamp: 1 });
+// Full-text search within one room ($text queries must also filter on childId)
+ChatMessageSchema.index({ childId: 1, message: 'text' });
+ChatMessageSchema.index({ 'receipts.userId': 1, 'receipts.readAt': 1 });
+
+/**
+ * Mark a user's receipts in a child's room. `field` is deliveredAt or readAt;
+ * reading also marks delivery. `upTo` (a message id) limits it to that message and older ones.
+ * @returns {Promise<Array>} ids of the messages that changed
+ */
+ChatMessageSchema.statics.markReceipts = async function(childId, userId, field, { upTo, at = new Date() } = {}) {
+  const uid = new mongoose.Types.ObjectId(userId);
+  const query = { childId, receipts: { $elemMatch: { userId: uid, [field]: null } } };
+  if (upTo) {
+    const last = await this.findOne({ _id: upTo, childId }).select('timestamp').lean();
+    if (!last) return [];
+    query.timestamp = { $lte: last.timestamp };
+  }
+  const ids = (await this.find(query).select('_id').lean()).map(m => m._id);
+  if (ids.length === 0) return ids;
+
+  const set = { [`receipts.$[r].${field}`]: at };
+  const arrayFilters = [{ 'r.userId': uid, [`r.${field}`]: null }];
+  if (field === 'readAt') {
+    set['receipts.$[d].deliveredAt'] = at;
+    arrayFilters.push({ 'd.userId': uid, 'd.deliveredAt': null });
+  }
+  await this.updateMany({ _id: { $in: ids } }, { $set: set }, { arrayFilters });
+  return ids;
+};
+
+/**
+ * Unread messages for a user per child room
+ * @returns {Promise<Array>} [{ childId, unread, lastMessageAt }], most recent first
+ */
+ChatMessageSchema.statics.unreadByChild = function(userId) {
+  const uid = new mongoose.Types.ObjectId(userId);
+  return this.aggregate([
+    { $match: { deletedAt: null, receipts: { $elemMatch: { userId: uid, readAt: null } } } },
+    { $group: { _id: '$childId', unread: { $sum: 1 }, lastMessageAt: { $max: '$timestamp' } } },
+    { $sort: { lastMessageAt: -1 } },
+    { $project: { _id: 0, childId: '$_id', unread: 1, lastMessageAt: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('ChatMessage', ChatMessageSchema);
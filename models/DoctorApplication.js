@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const DoctorApplicationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  licenseNumber: { type: String, required: true },
+  issuingAuthority: { type: String, required: true }, // e.g., state medical council
+  specialization: { type: String },
+  licenseExpiry: { type: Date },
+  documentUrl: { type: String }, // Optional scan of the license
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  rejectionReason: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+DoctorApplicationSchema.index({ status: 1, createdAt: -1 });
+DoctorApplicationSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('DoctorApplication', DoctorApplicationSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One follow-up interview item per question the child failed on the original screen
+const FollowUpItemSchema = new mongoose.Schema({
+  questionKey: { type: String, required: true }, // answer key in the original assessment
+  questionText: { type: String },
+  prompt: { type: String }, // what the interviewer asks
+  initialScore: { type: Number },
+  result: { type: String, enum: ['pass', 'fail'] },
+  notes: { type: String },
+  answeredAt: { type: Date }
+});
+
+const FollowUpSchema = new mongoose.Schema({
+  assessmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assessment', required: true },
+  childId: { type: mongoose.Schema.Types.ObjectId, ref: 'Child', required: true },
+  questionnaireId: { type: mongoose.Schema.Types.ObjectId, ref: 'Questionnaire', required: true },
+  attemptNumber: { type: Number }, // same attempt as the original assessment
+  conductedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  items: [FollowUpItemSchema],
+  status: { type: String, enum: ['in-progress', 'completed'], default: 'in-progress' },
+  initialScore: { type: Number },
+  initialRisk: { type: String },
+  finalScore: { type: Number }, // number of items failed on follow-up
+  finalRisk: { type: String, enum: ['Low', 'Medium', 'Moderate', 'High'] },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+FollowUpSchema.index({ assessmentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FollowUp', FollowUpSchema);
@@ -53,7 +53,38 @@ const gameSessionSchema = new mongoose.Schema(
       type: Number, // 0-100, lower variance = higher consistency
       default: 0,
     },
+    // Every interaction in order (flips, hits, steps, ...); kind and data depend on the game type
+    events: [
+      {
+        _id: false,
+        kind: String,
+        at: { type: Date, default: Date.now },
+        correct: Boolean,
+        countsAsMove: { type: Boolean, default: true },
+        data: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Parameters the session was played with: the difficulty preset plus any adaptive overrides
+    config: mongoose.Schema.Types.Mixed,
+    // preset: the difficulty as-is; custom: parameters sent by the client; adaptive: recommended by the server
+    configSource: {
+      type: String,
+      enum: ['preset', 'custom', 'adaptive'],
+    },
+    // Seed for generated content (sequences, boards, targets), so a session can be regenerated
+    seed: Number,
+    // Server-side game progress (e.g. the sequence and current level); not sent to the client while playing
+    state: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Game-type specific results computed on completion (e.g. span for simon-says)
+    metrics: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
     gameDetails: {
+      // Legacy per-flip log; sessions recorded by the game engine use `events`
       cardsFlipped: [
         {
           cardIndex: Number,
@@ -74,6 +105,13 @@ const gameSessionSchema = new mongoose.Schema(
       enum: ['in-progress', 'completed', 'abandoned'],
       default: 'in-progress',
     },
+    // Raw telemetry events stored for this session (GameTelemetry); also the next telemetry seq
+    telemetryEvents: {
+      type: Number,
+      default: 0,
+    },
+    // Set when an idle in-progress session is abandoned (see utils/games/abandonment.js)
+    abandonedAt: Date,
     createdAt: {
       type: Date,
       default: Date.now,
@@ -83,7 +121,8 @@ const gameSessionSchema = new mongoose.Schema(
       default: Date.now,
     },
   },
-  { timestamps: true }
+  // Every save checks __v, so two concurrent events can't overwrite each other's `state`
+  { timestamps: true, optimisticConcurrency: true }
 );
 
 module.exports = mongoose.model('GameSession', gameSessionSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Result of one completed game session, linked to the child and optionally to
+// the questionnaire assessment (and so the attempt/round) it was played alongside
+const GameAssessmentSchema = new mongoose.Schema({
+  childId: { type: mongoose.Schema.Types.ObjectId, ref: 'Child', required: true },
+  gameSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'GameSession', required: true, unique: true },
+  gameType: { type: String, required: true },
+  difficulty: { type: String },
+  config: { type: Object }, // parameters played with (GameSession.config)
+  assessmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assessment' },
+  attemptNumber: { type: Number }, // copied from the linked assessment
+  score: { type: Number },
+  accuracy: { type: Number },
+  reactionTime: { type: Number }, // milliseconds
+  consistency: { type: Number },
+  metrics: { type: Object }, // game-type specific results (GameSession.metrics)
+  linkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  completedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now }
+});
+
+GameAssessmentSchema.index({ childId: 1, gameType: 1, completedAt: -1 });
+GameAssessmentSchema.index({ assessmentId: 1 });
+
+/**
+ * Create or refresh the result for a completed session.
+ * `assessment` (optional) must belong to the same child; undefined keeps the current link, null removes it.
+ */
+GameAssessmentSchema.statics.fromSession = function(session, { assessment, userId } = {}) {
+  const update = {
+    childId: session.childId,
+    gameType: session.gameType,
+    difficulty: session.difficulty,
+    config: session.config,
+    score: session.score,
+    accuracy: session.accuracy,
+    reactionTime: session.reactionTime,
+    consistency: session.consistency,
+    metrics: session.metrics,
+    completedAt: session.updatedAt || new Date()
+  };
+  if (assessment !== undefined) {
+    update.assessmentId = assessment ? assessment._id : null;
+    update.attemptNumber = assessment ? assessment.attemptNumber : null;
+    update.linkedBy = userId;
+  }
+  return this.findOneAndUpdate(
+    { gameSessionId: session._id },
+    { $set: update },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('GameAssessment', GameAssessmentSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Reference distribution of one game metric for one age band (imported from CSV by an admin)
+const GameNormSchema = new mongoose.Schema({
+  gameType: { type: String, required: true },
+  metric: { type: String, required: true }, // score | accuracy | reactionTime | consistency | a GameSession.metrics key
+  difficulty: { type: String, enum: ['easy', 'medium', 'hard', 'any'], default: 'any' },
+  minMonths: { type: Number, required: true },
+  maxMonths: { type: Number, required: true }, // inclusive
+  mean: { type: Number, required: true },
+  sd: { type: Number, required: true, min: 0 },
+  n: { type: Number }, // reference sample size
+  higherIsBetter: { type: Boolean, default: true },
+  source: { type: String }, // study / dataset the norms come from
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  importedAt: { type: Date, default: Date.now }
+});
+
+GameNormSchema.index({ gameType: 1, metric: 1, difficulty: 1, minMonths: 1, maxMonths: 1 }, { unique: true });
+
+module.exports = mongoose.model('GameNorm', GameNormSchema);
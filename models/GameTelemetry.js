@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Raw interaction events of a game session (pointer positions, spawns, hits, misses...).
+// Stored as a MongoDB time-series collection (needs MongoDB 5.0+): events are
+// bucketed per session and compressed, so high-rate pointer streams stay small.
+const GameTelemetrySchema = new mongoose.Schema({
+  at: { type: Date, required: true }, // session start + client offset
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'GameSession', required: true },
+  seq: { type: Number, required: true }, // arrival order within the session, breaks timestamp ties
+  type: { type: String, required: true },
+  x: { type: Number },
+  y: { type: Number },
+  data: { type: Object }
+}, {
+  timeseries: { timeField: 'at', metaField: 'session', granularity: 'seconds' },
+  versionKey: false
+});
+
+GameTelemetrySchema.index({ session: 1, at: 1 });
+
+module.exports = mongoose.model('GameTelemetry', GameTelemetrySchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+const MediaSchema = new mongoose.Schema({
+  childId: { type: mongoose.Schema.Types.ObjectId, ref: 'Child', required: true },
+  fileUrl: { type: String, required: true },
+  fileType: { type: String },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Media', MediaSchema);
@@ -1,8 +1,19 @@
 const mongoose = require('mongoose');
+const { parseAgeRange } = require('../utils/age');
+const { assignQuestionIds } = require('../utils/questions');
 
 const QuestionSchema = new mongoose.Schema({
-  text: { type: String, required: true },
-  order: { type: Number, required: true }
+  questionId: { type: String }, // persistent key for answers, e.g. "q1" - assigned on save, never reused
+  text: { type: String, required: true }, // in the questionnaire's defaultLocale
+  translations: { type: Map, of: String }, // locale → question text, e.g. { "es": "¿Su hijo...?" }
+  order: { type: Number, required: true },
+  // Scoring metadata (all optional - questions without it use the questionnaire-wide scoring)
+  optionScores: { type: Map, of: Number }, // e.g., { "Yes": 0, "No": 1 } for M-CHAT-R items that fail on "No"
+  reverseScored: { type: Boolean, default: false }, // flip the item score within its scale
+  critical: { type: Boolean, default: false }, // critical item - failures are counted separately
+  domain: { type: String }, // e.g., "social", "communication"
+  subscale: { type: String }, // finer grouping within the domain
+  followUpPrompt: { type: String } // asked in the follow-up interview when this item fails
 }, { _id: false });
 
 const ScoringRuleSchema = new mongoose.Schema({
@@ -12,6 +23,14 @@ const ScoringRuleSchema = new mongoose.Schema({
   description: { type: String }
 }, { _id: false });
 
+// Questionnaire-level text in another locale; answerOptions follow the order of the source options
+const TranslationSchema = new mongoose.Schema({
+  name: { type: String },
+  fullName: { type: String },
+  description: { type: String },
+  answerOptions: [{ type: String }]
+}, { _id: false });
+
 const QuestionnaireSchema = new mongoose.Schema({
   name: { type: String, required: true }, // e.g., "M-CHAT"
   fullName: { type: String, required: true }, // e.g., "Modified Checklist for Autism in Toddlers"
@@ -20,14 +39,43 @@ const QuestionnaireSchema = new mongoose.Schema({
   answerOptions: [{ type: String }], // e.g., ["yes", "no", "sometimes"]
   scoringRules: [ScoringRuleSchema], // Scoring guidelines
   scoringInfo: { type: String }, // Human-readable scoring guide
+  defaultLocale: { type: String, default: 'en' }, // language of the source text above
+  translations: { type: Map, of: TranslationSchema }, // locale → translated questionnaire text
+  // Structured follow-up interview for Medium-risk results (M-CHAT-R/F).
+  // M-CHAT questionnaires get it automatically; followUpScoringRules map the
+  // number of items still failed after the interview to the final risk.
+  followUpEnabled: { type: Boolean, default: false },
+  followUpScoringRules: [ScoringRuleSchema],
   duration: { type: String }, // e.g., "5-10 minutes"
   ageRange: { type: String }, // e.g., "16-30 months"
+  ageRangeMonths: { // parsed from ageRange unless set explicitly; null = open-ended
+    min: { type: Number },
+    max: { type: Number }
+  },
   isActive: { type: Boolean, default: true }, // Only active questionnaires shown to users
+  currentVersion: { type: Number, default: 1 }, // latest QuestionnaireVersion.version
+  archivedAt: { type: Date }, // set instead of deleting; archived questionnaires are inactive
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Keep ageRangeMonths in sync with the free-text ageRange and give new questions
+// their IDs (runs for save and insertMany)
+QuestionnaireSchema.pre('validate', function(next) {
+  if (this.questions.some(q => !q.questionId)) assignQuestionIds(this.questions);
+  const ids = this.questions.map(q => q.questionId);
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate('questions', 'questionId must be unique within a questionnaire');
+  }
+
+  if (this.isModified('ageRange') && !this.isModified('ageRangeMonths')) {
+    const parsed = parseAgeRange(this.ageRange);
+    this.ageRangeMonths = parsed ? { min: parsed.min, max: parsed.max } : undefined;
+  }
+  next();
+});
+
 // Update the updatedAt field before saving
 QuestionnaireSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a questionnaire's content. The Questionnaire document is
+// the editable head; every content change is stored here as a new version so
+// assessments keep the exact questions and scoring they were taken on.
+const QuestionnaireVersionSchema = new mongoose.Schema({
+  questionnaireId: { type: mongoose.Schema.Types.ObjectId, ref: 'Questionnaire', required: true },
+  version: { type: Number, required: true },
+  name: { type: String, required: true },
+  fullName: { type: String },
+  description: { type: String },
+  questions: { type: Array, default: [] }, // same shape as Questionnaire.questions
+  answerOptions: [{ type: String }],
+  scoringRules: { type: Array, default: [] },
+  scoringInfo: { type: String },
+  duration: { type: String },
+  ageRange: { type: String },
+  ageRangeMonths: { type: Object },
+  followUpEnabled: { type: Boolean },
+  followUpScoringRules: { type: Array, default: [] },
+  defaultLocale: { type: String },
+  translations: { type: mongoose.Schema.Types.Mixed }, // same shape as Questionnaire.translations
+  changeNote: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+QuestionnaireVersionSchema.index({ questionnaireId: 1, version: 1 }, { unique: true });
+
+QuestionnaireVersionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Questionnaire versions are immutable'));
+  next();
+});
+
+QuestionnaireVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Questionnaire versions are immutable'));
+});
+
+module.exports = mongoose.model('QuestionnaireVersion', QuestionnaireVersionSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only a SHA-256 hash of the
+// token is stored; the raw value is handed to the client once.
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  replacedBy: { type: String }, // tokenHash of the token issued when this one was rotated
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+RefreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB drop expired tokens on its own
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
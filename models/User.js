@@ -2,10 +2,17 @@ const mongoose = require('mongoose');
 
 const UserSchema = new mongoose.Schema({
   name: { type: String },
-  email: { type: String, required: true, unique: true, lowercase: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
   passwordHash: { type: String, required: true },
   // default should match the enum and other code (use 'caretaker')
   role: { type: String, enum: ['caretaker','admin','doctor'], default: 'caretaker' },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  // Doctors signing up get false until an admin approves their application.
+  // Left unset for doctors created before the verification workflow existed.
+  doctorVerified: { type: Boolean },
+  // Bumped to invalidate every access token issued before (logout-all, reuse detection)
+  tokenVersion: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now }
 });
 
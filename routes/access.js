@@ -1,25 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, blockUnverifiedDoctors } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/access');
 const AccessRequest = require('../models/AccessRequest');
 const Child = require('../models/Child');
 const User = require('../models/User');
+const { roomFor, evictUser } = require('../utils/chat');
 
 // Doctor requests access to a child profile
-router.post('/request', requireAuth, async (req, res) => {
+router.post('/request', requireAuth, blockUnverifiedDoctors, validate(schemas.request), async (req, res) => {
   try {
     const { childId, message } = req.body;
     const doctorId = req.user.id;
 
     // Verify requester is a doctor
     if (req.user.role !== 'doctor') {
-      return res.status(403).json({ message: 'Only doctors can request access' });
+      return res.status(403).json({ error: 'Only doctors can request access' });
     }
 
     // Verify child exists
     const child = await Child.findById(childId);
     if (!child) {
-      return res.status(404).json({ message: 'Child not found' });
+      return res.status(404).json({ error: 'Child not found' });
     }
 
     // Check if request already exists
@@ -31,7 +34,7 @@ router.post('/request', requireAuth, async (req, res) => {
 
     if (existingRequest) {
       return res.status(400).json({ 
-        message: existingRequest.status === 'approved' 
+        error: existingRequest.status === 'approved' 
           ? 'You already have access to this child profile'
           : 'A pending request already exists for this child'
       });
@@ -53,7 +56,7 @@ router.post('/request', requireAuth, async (req, res) => {
     });
   } catch (err) {
     console.error('Access request error:', err);
-    res.status(500).json({ message: 'Server error', error: err.message });
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
@@ -64,7 +67,7 @@ router.get('/pending', requireAuth, async (req, res) => {
 
     // Verify requester is a caretaker
     if (req.user.role !== 'caretaker') {
-      return res.status(403).json({ message: 'Only caretakers can view access requests' });
+      return res.status(403).json({ error: 'Only caretakers can view access requests' });
     }
 
     const requests = await AccessRequest.find({
@@ -78,33 +81,29 @@ router.get('/pending', requireAuth, async (req, res) => {
     res.json(requests);
   } catch (err) {
     console.error('Get pending requests error:', err);
-    res.status(500).json({ message: 'Server error', error: err.message });
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Caretaker approves or denies access request
-router.put('/:requestId/respond', requireAuth, async (req, res) => {
+router.put('/:requestId/respond', requireAuth, validate(schemas.respond), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { status } = req.body; // 'approved' or 'denied'
     const caretakerId = req.user.id;
 
-    if (!['approved', 'denied'].includes(status)) {
-      return res.status(400).json({ message: 'Invalid status. Must be approved or denied' });
-    }
-
     const request = await AccessRequest.findById(requestId);
     if (!request) {
-      return res.status(404).json({ message: 'Access request not found' });
+      return res.status(404).json({ error: 'Access request not found' });
     }
 
     // Verify the caretaker owns this request
     if (request.caretakerId.toString() !== caretakerId) {
-      return res.status(403).json({ message: 'Not authorized to respond to this request' });
+      return res.status(403).json({ error: 'Not authorized to respond to this request' });
     }
 
     if (request.status !== 'pending') {
-      return res.status(400).json({ message: 'This request has already been responded to' });
+      return res.status(400).json({ error: 'This request has already been responded to' });
     }
 
     // Update request status
@@ -126,7 +125,7 @@ router.put('/:requestId/respond', requireAuth, async (req, res) => {
     });
   } catch (err) {
     console.error('Respond to request error:', err);
-    res.status(500).json({ message: 'Server error', error: err.message });
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
@@ -136,7 +135,7 @@ router.get('/my-requests', requireAuth, async (req, res) => {
     const doctorId = req.user.id;
 
     if (req.user.role !== 'doctor') {
-      return res.status(403).json({ message: 'Only doctors can view their requests' });
+      return res.status(403).json({ error: 'Only doctors can view their requests' });
     }
 
     const requests = await AccessRequest.find({ doctorId })
@@ -147,7 +146,7 @@ router.get('/my-requests', requireAuth, async (req, res) => {
     res.json(requests);
   } catch (err) {
     console.error('Get my requests error:', err);
-    res.status(500).json({ message: 'Server error', error: err.message });
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
@@ -169,28 +168,24 @@ router.get('/all', requireAuth, async (req, res) => {
         .populate('caretakerId', 'name email')
         .sort({ createdAt: -1 });
     } else {
-      return res.status(403).json({ message: 'Not authorized' });
+      return res.status(403).json({ error: 'Not authorized' });
     }
 
     res.json(requests);
   } catch (err) {
     console.error('Get all requests error:', err);
-    res.status(500).json({ message: 'Server error', error: err.message });
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
 // POST /api/access/grant - Caretaker directly grants access via email
-router.post('/grant', requireAuth, async (req, res) => {
+router.post('/grant', requireAuth, validate(schemas.grant), async (req, res) => {
   try {
     const { childId, doctorEmail } = req.body;
     const caretakerId = req.user.id;
 
     console.log('[Access Grant] Request:', { childId, doctorEmail, caretakerId });
 
-    if (!childId || !doctorEmail) {
-      return res.status(400).json({ error: 'childId and doctorEmail are required' });
-    }
-
     // Verify child belongs to caretaker
     const child = await Child.findById(childId);
     if (!child) {
@@ -201,8 +196,8 @@ router.post('/grant', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'You do not own this child profile' });
     }
 
-    // Find doctor by email
-    const doctor = await User.findOne({ email: doctorEmail.toLowerCase(), role: 'doctor' });
+    // Find doctor by email (doctors awaiting verification cannot be granted access)
+    const doctor = await User.findOne({ email: doctorEmail.toLowerCase(), role: 'doctor', doctorVerified: { $ne: false } });
     if (!doctor) {
       return res.status(404).json({ error: 'Doctor not found. Please verify the email address.' });
     }
@@ -228,22 +223,18 @@ router.post('/grant', requireAuth, async (req, res) => {
     });
   } catch (err) {
     console.error('[Access Grant] Error:', err);
-    res.status(500).json({ error: 'Server error: ' + err.message });
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
 // POST /api/access/revoke - Caretaker revokes doctor access
-router.post('/revoke', requireAuth, async (req, res) => {
+router.post('/revoke', requireAuth, validate(schemas.revoke), async (req, res) => {
   try {
     const { childId, doctorId } = req.body;
     const caretakerId = req.user.id;
 
     console.log('[Access Revoke] Request:', { childId, doctorId, caretakerId });
 
-    if (!childId || !doctorId) {
-      return res.status(400).json({ error: 'childId and doctorId are required' });
-    }
-
     // Verify child belongs to caretaker
     const child = await Child.findById(childId);
     if (!child) {
@@ -259,13 +250,15 @@ router.post('/revoke', requireAuth, async (req, res) => {
       docId => docId.toString() !== doctorId
     );
     await child.save();
+    // The doctor's open chat sockets stop receiving this child's room
+    evictUser(req.app.get('io'), doctorId, roomFor(childId));
 
     console.log('[Access Revoke] Success');
 
     res.json({ message: 'Access revoked successfully' });
   } catch (err) {
     console.error('[Access Revoke] Error:', err);
-    res.status(500).json({ error: 'Server error: ' + err.message });
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
 const ResponseModel = require('../models/Response');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const User = require('../models/User');
 const Assessment = require('../models/Assessment');
 const Report = require('../models/Report');
+const DoctorApplication = require('../models/DoctorApplication');
+const { revokeAllRefreshTokens } = require('../utils/tokens');
+const { evictUser } = require('../utils/chat');
 const os = require('os');
 const path = require('path');
 
@@ -83,14 +88,14 @@ router.get('/analytics', requireAuth, requireAdmin, async (req, res) => {
 // GET /api/admin/users
 router.get('/users', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const usersRaw = await User.find().select('name email role createdAt').lean();
+    const usersRaw = await User.find().select('name email role doctorVerified createdAt').lean();
     const users = usersRaw.map(u => ({
       id: u._id ? u._id.toString() : undefined,
       name: u.name,
       email: u.email,
       role: u.role,
       // frontend expects 'status' and 'joinDate'
-      status: 'active',
+      status: u.role === 'doctor' && u.doctorVerified === false ? 'pending-verification' : 'active',
       joinDate: u.createdAt ? u.createdAt.toISOString() : null,
     }));
     res.json(users);
@@ -100,9 +105,12 @@ router.get('/users', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
-router.delete('/users/:userId', requireAuth, requireAdmin, async (req, res) => {
+router.delete('/users/:userId', requireAuth, requireAdmin, validate(schemas.deleteUser), async (req, res) => {
   try {
     await User.findByIdAndDelete(req.params.userId);
+    // requireAuth rejects tokens of users that no longer exist; drop their refresh tokens too
+    await revokeAllRefreshTokens(req.params.userId);
+    evictUser(req.app.get('io'), req.params.userId);
     res.json({ message: 'User deleted successfully' });
   } catch (err) {
     res.status(500).json({ error: 'Error deleting user' });
@@ -110,4 +118,72 @@ router.delete('/users/:userId', requireAuth, requireAdmin, async (req, res) => {
 });
 
 
+// GET /api/admin/doctor-applications?status=pending
+router.get('/doctor-applications', requireAuth, requireAdmin, validate(schemas.listDoctorApplications), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const applications = await DoctorApplication.find(status ? { status } : {})
+      .populate('userId', 'name email createdAt')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 });
+    res.json(applications);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error fetching doctor applications' });
+  }
+});
+
+// PUT /api/admin/doctor-applications/:applicationId/approve
+router.put('/doctor-applications/:applicationId/approve', requireAuth, requireAdmin, validate(schemas.reviewDoctorApplication), async (req, res) => {
+  try {
+    const application = await DoctorApplication.findById(req.params.applicationId);
+    if (!application) return res.status(404).json({ error: 'Application not found' });
+    if (application.status !== 'pending') {
+      return res.status(400).json({ error: 'This application has already been reviewed' });
+    }
+
+    const doctor = await User.findOneAndUpdate(
+      { _id: application.userId, role: 'doctor' },
+      { $set: { doctorVerified: true } },
+      { new: true }
+    );
+    if (!doctor) return res.status(404).json({ error: 'Doctor account not found' });
+
+    application.status = 'approved';
+    application.reviewedBy = req.user.id;
+    application.reviewedAt = new Date();
+    await application.save();
+
+    res.json({ message: 'Doctor approved', application });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error approving application' });
+  }
+});
+
+// PUT /api/admin/doctor-applications/:applicationId/reject
+router.put('/doctor-applications/:applicationId/reject', requireAuth, requireAdmin, validate(schemas.reviewDoctorApplication), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const application = await DoctorApplication.findById(req.params.applicationId);
+    if (!application) return res.status(404).json({ error: 'Application not found' });
+    if (application.status !== 'pending') {
+      return res.status(400).json({ error: 'This application has already been reviewed' });
+    }
+
+    application.status = 'rejected';
+    application.rejectionReason = reason || '';
+    application.reviewedBy = req.user.id;
+    application.reviewedAt = new Date();
+    await application.save();
+
+    await User.findByIdAndUpdate(application.userId, { $set: { doctorVerified: false } });
+
+    res.json({ message: 'Doctor application rejected', application });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error rejecting application' });
+  }
+});
+
 module.exports = router;
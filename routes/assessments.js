@@ -1,85 +1,92 @@
 const express = require('express');
 const router = express.Router();
 const Assessment = require('../models/Assessment');
-const Child = require('../models/Child');
 const Questionnaire = require('../models/Questionnaire');
-const { requireAuth } = require('../middleware/auth');
+const GameAssessment = require('../models/GameAssessment');
+const { requireAuth, requireChildAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../schemas/assessments');
 const { analyzeAssessment } = require('../utils/llm-service');
+const { computeScore } = require('../utils/scoring');
+const { ensureCurrentVersion, loadVersion, questionnaireForAssessment } = require('../utils/questionnaire-versions');
+const { resolveLocale } = require('../utils/i18n');
+const { normalizeAnswers, validateAnswers, answersByText } = require('../utils/questions');
+const { ageInMonths, checkAgeEligibility } = require('../utils/age');
+const { summarizeResults } = require('../utils/games/results');
+
+// Calculate attemptNumber - find the highest completed attempt for this questionnaire and increment
+async function nextAttemptNumber(childId, questionnaireId) {
+  const existingAssessments = await Assessment.find({ 
+    childId, 
+    questionnaireId 
+  }).completed().sort({ attemptNumber: -1 }).limit(1);
+
+  return existingAssessments.length > 0 
+    ? (existingAssessments[0].attemptNumber || 1) + 1 
+    : 1;
+}
 
-// Dynamic scoring function based on questionnaire's scoringRules
-function computeScore(answers, questionnaire) {
-  const answerValues = Object.values(answers || {});
-
-  // Helper: detect numeric-coded options like "0 Never", "1 Sometimes" and build a map
-  const buildOptionScoreMap = (opts = []) => {
-    const map = new Map();
-    opts.forEach((opt, idx) => {
-      if (typeof opt === 'string') {
-        const m = opt.match(/^\s*(\d+)\s+/);
-        if (m) {
-          map.set(opt, Number(m[1]));
-        } else {
-          map.set(opt, idx); // fallback to index scoring
-        }
-      }
-    });
-    return map;
-  };
-
-  let totalScore = 0;
-
-  if (answerValues.every(v => typeof v === 'string' && (v.toLowerCase() === 'yes' || v.toLowerCase() === 'no'))) {
-    // Yes/No style → count yes
-    totalScore = answerValues.filter(a => (a || '').toLowerCase() === 'yes').length;
-  } else if (Array.isArray(questionnaire.answerOptions) && questionnaire.answerOptions.length > 0) {
-    // Multi-choice using shared answerOptions across questions
-    const scoreMap = buildOptionScoreMap(questionnaire.answerOptions);
-    totalScore = answerValues.reduce((sum, val) => {
-      if (typeof val !== 'string') return sum;
-      // Try exact match first
-      if (scoreMap.has(val)) return sum + (scoreMap.get(val) || 0);
-      // If not exact, try case-insensitive match
-      const found = [...scoreMap.keys()].find(k => k.toLowerCase() === val.toLowerCase());
-      if (found) return sum + (scoreMap.get(found) || 0);
-      return sum;
-    }, 0);
-  } else {
-    // Fallback: try parse numeric strings (e.g., '0', '1', '2')
-    totalScore = answerValues.reduce((sum, v) => {
-      const n = Number(v);
-      return Number.isFinite(n) ? sum + n : sum;
-    }, 0);
+const ATTEMPT_NUMBER_RETRIES = 5;
+
+// Give a completed assessment the next attempt number and save it. Two submissions
+// racing for the same number hit the unique attempt index; the loser takes the next one.
+async function saveWithNextAttempt(assessment) {
+  for (let tries = 1; ; tries++) {
+    assessment.attemptNumber = await nextAttemptNumber(assessment.childId, assessment.questionnaireId);
+    try {
+      return await assessment.save();
+    } catch (err) {
+      const attemptClash = err.code === 11000 && err.keyPattern && err.keyPattern.attemptNumber;
+      if (!attemptClash || tries >= ATTEMPT_NUMBER_RETRIES) throw err;
+    }
   }
+}
 
-  // Determine risk via scoringRules if present, else fallback thresholds
-  let risk = 'Low';
-  if (questionnaire.scoringRules && questionnaire.scoringRules.length > 0) {
-    for (const rule of questionnaire.scoringRules) {
-      const inRange = totalScore >= rule.minScore &&
-        (rule.maxScore === undefined || totalScore <= rule.maxScore);
-      if (inRange) { risk = rule.riskLevel; break; }
-    }
-  } else {
-    // Generic fallback thresholds for yes/no-like totals
-    if (totalScore >= 3 && totalScore <= 6) risk = 'Medium';
-    else if (totalScore > 6) risk = 'High';
+// Count answers that actually hold a value (autosave may clear an answer with null)
+const countAnswered = (answers) =>
+  Object.values(answers || {}).filter(v => v !== null && v !== undefined && v !== '').length;
+
+const OPEN_STATUSES = ['draft', 'in-progress'];
+
+// Locale the caretaker answered in: body.locale, then ?lang= / Accept-Language
+const submissionLocale = (req, questionnaire) =>
+  resolveLocale({ query: { lang: req.body.locale || req.query.lang }, headers: req.headers }, questionnaire);
+
+/**
+ * Compare the child's age with the questionnaire's age range.
+ * Out-of-range submissions are saved with a warning (AGE_ELIGIBILITY_MODE=warn, default)
+ * or rejected (AGE_ELIGIBILITY_MODE=block). A doctor can send overrideAgeCheck: true
+ * to submit anyway; an override recorded when a draft was started (`previous`) still
+ * applies when it is finalized.
+ * @returns {Object} { ageCheck, blocked }
+ */
+function evaluateAgeEligibility(req, child, questionnaire, previous) {
+  const ageCheck = checkAgeEligibility(ageInMonths(child.dob), questionnaire);
+  if (ageCheck.eligible) return { ageCheck, blocked: false };
+
+  if (req.body.overrideAgeCheck === true && req.user.role === 'doctor') {
+    ageCheck.overriddenBy = req.user.id;
+    return { ageCheck, blocked: false };
+  }
+  if (previous && previous.overriddenBy) {
+    ageCheck.overriddenBy = previous.overriddenBy;
+    return { ageCheck, blocked: false };
   }
 
-  return { score: totalScore, risk };
+  const range = [ageCheck.minMonths, ageCheck.maxMonths].map(m => (m === null ? '?' : m)).join('-');
+  ageCheck.warning = `Child is ${ageCheck.childAgeMonths} months old; ${questionnaire.name} is intended for ${range} months`;
+  const mode = (process.env.AGE_ELIGIBILITY_MODE || 'warn').toLowerCase();
+  return { ageCheck, blocked: mode === 'block' };
 }
 
 // POST /api/assessments/add
-router.post('/add', requireAuth, async (req, res) => {
-  const { childId, questionnaireId, answers } = req.body;
+router.post('/add', requireAuth, validate(schemas.add), requireChildAccess('body.childId'), async (req, res) => {
+  const { childId, questionnaireId } = req.body;
+  let { answers } = req.body;
   console.log('[Assessment] Received submission:', { childId, questionnaireId, answerCount: Object.keys(answers || {}).length });
   
   try {
-    // Validate required fields
-    if (!childId || !questionnaireId || !answers) {
-      console.error('[Assessment] Missing required fields:', { childId: !!childId, questionnaireId: !!questionnaireId, answers: !!answers });
-      return res.status(400).json({ error: 'childId, questionnaireId, and answers are required' });
-    }
-
     // Fetch questionnaire to get scoring rules and name
     const questionnaire = await Questionnaire.findById(questionnaireId);
     if (!questionnaire) {
@@ -87,40 +94,45 @@ router.post('/add', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Questionnaire not found' });
     }
     console.log('[Assessment] Found questionnaire:', questionnaire.name, 'with', questionnaire.questions.length, 'questions');
+
+    // Key answers by questionId and translate option labels back to the source options
+    answers = normalizeAnswers(answers, questionnaire);
+    const invalid = validateAnswers(answers, questionnaire);
+    if (invalid.length > 0) {
+      console.warn('[Assessment] Rejected invalid answers:', invalid.length, 'problem(s)');
+      return sendError(res, 400, 'Invalid answers', { code: 'VALIDATION_ERROR', details: invalid });
+    }
+    const locale = submissionLocale(req, questionnaire);
     
-    const { score, risk } = computeScore(answers, questionnaire);
-    console.log('[Assessment] Computed score:', score, 'risk:', risk);
+    const { score, risk, subscores, criticalFailures } = computeScore(answers, questionnaire);
+    console.log('[Assessment] Computed score:', score, 'risk:', risk, 'critical failures:', criticalFailures);
     
-    // Get child info for LLM context
-    const child = await Child.findById(childId);
-    if (!child) {
-      console.error('[Assessment] Child not found:', childId);
-      return res.status(404).json({ error: 'Child not found' });
-    }
+    // Child was resolved and access-checked by requireChildAccess
+    const child = req.child;
     console.log('[Assessment] Found child:', child.name);
-    const childAge = child && child.dob 
-      ? Math.floor((Date.now() - new Date(child.dob).getTime()) / (1000 * 60 * 60 * 24 * 30))
-      : null;
 
-    // Calculate attemptNumber - find the highest attempt for this questionnaire and increment
-    const existingAssessments = await Assessment.find({ 
-      childId, 
-      questionnaireId 
-    }).sort({ attemptNumber: -1 }).limit(1);
-    
-    const attemptNumber = existingAssessments.length > 0 
-      ? (existingAssessments[0].attemptNumber || 1) + 1 
-      : 1;
+    const { ageCheck, blocked } = evaluateAgeEligibility(req, child, questionnaire);
+    if (blocked) {
+      console.warn('[Assessment] Rejected out-of-range submission:', ageCheck.warning);
+      return res.status(400).json({ error: 'Child is outside the age range for this questionnaire', ageCheck });
+    }
+
+    const { version } = await ensureCurrentVersion(questionnaire);
 
     const assessment = new Assessment({
       childId,
       caretakerId: req.user.id,
       questionnaireId,
+      questionnaireVersion: version,
+      locale,
       type: questionnaire.name, // Store questionnaire name for backward compatibility
       answers,
       score,
       risk,
-      attemptNumber, // Assign calculated attempt number
+      subscores,
+      criticalFailures,
+      ageCheck,
+      completedAt: new Date(),
       // Track progress
       progress: {
         completedQuestions: Object.keys(answers).length,
@@ -131,7 +143,7 @@ router.post('/add', requireAuth, async (req, res) => {
     });
 
     // Save assessment immediately without LLM analysis
-    await assessment.save();
+    await saveWithNextAttempt(assessment);
     console.log('[Assessment] Saved assessment (core data only):', assessment._id);
 
     // Return saved assessment immediately - LLM analysis can be generated later by doctor
@@ -143,9 +155,183 @@ router.post('/add', requireAuth, async (req, res) => {
     res.status(500).json({ error: 'Error saving assessment: ' + err.message });
   }
 });
+// POST /api/assessments/drafts - Start (or resume) a draft for a child + questionnaire
+router.post('/drafts', requireAuth, validate(schemas.startDraft), requireChildAccess('body.childId'), async (req, res) => {
+  const { childId, questionnaireId } = req.body;
+
+  try {
+    const questionnaire = await Questionnaire.findById(questionnaireId);
+    if (!questionnaire) return res.status(404).json({ error: 'Questionnaire not found' });
+
+    const { ageCheck, blocked } = evaluateAgeEligibility(req, req.child, questionnaire);
+    if (blocked) {
+      return res.status(400).json({ error: 'Child is outside the age range for this questionnaire', ageCheck });
+    }
+
+    // One open draft per child and questionnaire - hand back the existing one so the caretaker resumes it
+    const existing = await Assessment.findOne({
+      childId,
+      questionnaireId,
+      caretakerId: req.user.id,
+      'progress.status': { $in: OPEN_STATUSES }
+    }).populate('questionnaireId');
+    if (existing) return res.json(existing);
+
+    // Pin the version now so edits made while the draft is open don't change its questions
+    const { version } = await ensureCurrentVersion(questionnaire);
+
+    const draft = new Assessment({
+      childId,
+      caretakerId: req.user.id,
+      questionnaireId,
+      questionnaireVersion: version,
+      locale: submissionLocale(req, questionnaire),
+      type: questionnaire.name,
+      answers: {},
+      ageCheck,
+      attemptNumber: null, // assigned on finalize
+      progress: {
+        completedQuestions: 0,
+        totalQuestions: questionnaire.questions.length,
+        status: 'draft'
+      }
+    });
+    await draft.save();
+    console.log('[Assessment] Started draft:', draft._id);
+
+    const populated = await Assessment.findById(draft._id).populate('questionnaireId');
+    res.json(populated);
+  } catch (err) {
+    console.error('[Assessment] Error starting draft:', err.message);
+    res.status(500).json({ error: 'Error starting draft' });
+  }
+});
+
+// GET /api/assessments/drafts/:childId - Open drafts for a child
+router.get('/drafts/:childId', requireAuth, validate(schemas.byChild), requireChildAccess('params.childId'), async (req, res) => {
+  try {
+    const drafts = await Assessment.find({
+      childId: req.params.childId,
+      'progress.status': { $in: OPEN_STATUSES }
+    })
+      .populate('questionnaireId')
+      .sort({ 'progress.lastAnsweredAt': -1, createdAt: -1 });
+    res.json(drafts);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching drafts' });
+  }
+});
+
+// PUT /api/assessments/drafts/:assessmentId/answers - Autosave answers
+// Body: { answers: { <questionId>: <answer>, ... } } - merged into the saved answers; null clears one.
+// Question text (any locale) and translated option labels are accepted and normalized.
+router.put('/drafts/:assessmentId/answers', requireAuth, validate(schemas.saveDraftAnswers), requireChildAccess('params.assessmentId', Assessment), async (req, res) => {
+  const { answers } = req.body;
+
+  try {
+    const draft = await Assessment.findById(req.params.assessmentId);
+    if (!OPEN_STATUSES.includes(draft.progress?.status)) {
+      return res.status(400).json({ error: 'Assessment is already completed' });
+    }
+    if (draft.caretakerId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+
+    const head = await Questionnaire.findById(draft.questionnaireId);
+    const questionnaire = head && await questionnaireForAssessment(draft, head);
+    const incoming = questionnaire ? normalizeAnswers(answers, questionnaire) : answers;
+    const invalid = questionnaire ? validateAnswers(incoming, questionnaire, { partial: true }) : [];
+    if (invalid.length > 0) {
+      return sendError(res, 400, 'Invalid answers', { code: 'VALIDATION_ERROR', details: invalid });
+    }
+
+    const merged = { ...(draft.answers || {}), ...incoming };
+    Object.keys(merged).forEach((key) => {
+      if (merged[key] === null) delete merged[key];
+    });
+
+    draft.answers = merged;
+    draft.markModified('answers');
+    draft.progress.completedQuestions = countAnswered(merged);
+    draft.progress.lastAnsweredAt = new Date();
+    draft.progress.status = 'in-progress';
+    await draft.save();
+
+    res.json({
+      _id: draft._id,
+      progress: draft.progress,
+      answers: draft.answers
+    });
+  } catch (err) {
+    console.error('[Assessment] Error autosaving draft:', err.message);
+    res.status(500).json({ error: 'Error saving answers' });
+  }
+});
+
+// POST /api/assessments/drafts/:assessmentId/finalize - Score the draft and mark it completed
+router.post('/drafts/:assessmentId/finalize', requireAuth, validate(schemas.finalize), requireChildAccess('params.assessmentId', Assessment), async (req, res) => {
+  try {
+    const draft = await Assessment.findById(req.params.assessmentId);
+    if (!OPEN_STATUSES.includes(draft.progress?.status)) {
+      return res.status(400).json({ error: 'Assessment is already completed' });
+    }
+    if (draft.caretakerId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+
+    const head = await Questionnaire.findById(draft.questionnaireId);
+    if (!head) return res.status(404).json({ error: 'Questionnaire not found' });
+    const questionnaire = await questionnaireForAssessment(draft, head);
+
+    // Drafts autosaved before numeric answers were normalized may still hold indices
+    draft.answers = normalizeAnswers(draft.answers, questionnaire);
+    draft.markModified('answers');
+    const answered = countAnswered(draft.answers);
+    const totalQuestions = questionnaire.questions.length;
+    if (answered < totalQuestions) {
+      return res.status(400).json({
+        error: 'All questions must be answered before finalizing',
+        completedQuestions: answered,
+        totalQuestions
+      });
+    }
+    const invalid = validateAnswers(draft.answers, questionnaire);
+    if (invalid.length > 0) {
+      return sendError(res, 400, 'Invalid answers', { code: 'VALIDATION_ERROR', details: invalid });
+    }
+
+    // The child may have aged out of the range since the draft was started
+    const { ageCheck, blocked } = evaluateAgeEligibility(req, req.child, questionnaire, draft.ageCheck);
+    if (blocked) {
+      return res.status(400).json({ error: 'Child is outside the age range for this questionnaire', ageCheck });
+    }
+
+    const { score, risk, subscores, criticalFailures } = computeScore(draft.answers, questionnaire);
+    console.log('[Assessment] Finalizing draft:', draft._id, 'score:', score, 'risk:', risk);
+
+    draft.score = score;
+    draft.risk = risk;
+    draft.subscores = subscores;
+    draft.criticalFailures = criticalFailures;
+    draft.ageCheck = ageCheck;
+    draft.progress.completedQuestions = answered;
+    draft.progress.totalQuestions = totalQuestions;
+    draft.progress.lastAnsweredAt = draft.progress.lastAnsweredAt || new Date();
+    draft.progress.status = 'completed';
+    draft.completedAt = new Date();
+    await saveWithNextAttempt(draft);
+
+    const populatedAssessment = await Assessment.findById(draft._id).populate('questionnaireId');
+    res.json(populatedAssessment);
+  } catch (err) {
+    console.error('[Assessment] Error finalizing draft:', err.message);
+    res.status(500).json({ error: 'Error finalizing assessment' });
+  }
+});
+
 // GET /api/assessments/details/:assessmentId (details)
 // IMPORTANT: put detail/static routes before the param route to avoid shadowing
-router.get('/details/:assessmentId', requireAuth, async (req, res) => {
+router.get('/details/:assessmentId', requireAuth, validate(schemas.byAssessment), requireChildAccess('params.assessmentId', Assessment), async (req, res) => {
   try {
     const assessment = await Assessment.findById(req.params.assessmentId)
       .populate('questionnaireId');
@@ -157,9 +343,10 @@ router.get('/details/:assessmentId', requireAuth, async (req, res) => {
 });
 
 // GET /api/assessments/:childId  (list for child)
-router.get('/:childId', requireAuth, async (req, res) => {
+router.get('/:childId', requireAuth, validate(schemas.byChild), requireChildAccess('params.childId'), async (req, res) => {
   try {
     const assessments = await Assessment.find({ childId: req.params.childId })
+      .completed()
       .populate('questionnaireId');
     res.json(assessments);
   } catch (err) {
@@ -168,7 +355,7 @@ router.get('/:childId', requireAuth, async (req, res) => {
 });
 
 // DELETE /api/assessments/:assessmentId
-router.delete('/:assessmentId', requireAuth, async (req, res) => {
+router.delete('/:assessmentId', requireAuth, validate(schemas.byAssessment), requireChildAccess('params.assessmentId', Assessment), async (req, res) => {
   try {
     const assessment = await Assessment.findById(req.params.assessmentId);
     if (!assessment) return res.status(404).json({ error: 'Assessment not found' });
@@ -186,23 +373,17 @@ router.delete('/:assessmentId', requireAuth, async (req, res) => {
 });
 
 // POST /api/assessments/:assessmentId/analyze - Regenerate LLM analysis (doctor only)
-router.post('/:assessmentId/analyze', requireAuth, async (req, res) => {
+router.post('/:assessmentId/analyze', requireAuth, validate(schemas.byAssessment), requireChildAccess('params.assessmentId', Assessment), async (req, res) => {
   try {
     if (req.user.role !== 'doctor' && req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Only doctors can request analysis' });
     }
 
-    const assessment = await Assessment.findById(req.params.assessmentId).populate('childId');
+    const assessment = await Assessment.findById(req.params.assessmentId);
     if (!assessment) return res.status(404).json({ error: 'Assessment not found' });
+    const questionnaire = await Questionnaire.findById(assessment.questionnaireId);
 
-    // Check doctor has access to this child
-    const child = assessment.childId;
-    const hasAccess = req.user.role === 'admin' || 
-      child.authorizedDoctors.some(docId => docId.toString() === req.user.id);
-    
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'You do not have access to this child\'s records' });
-    }
+    const child = req.child;
 
     // Calculate child age
     const childAge = child && child.dob 
@@ -212,7 +393,7 @@ router.post('/:assessmentId/analyze', requireAuth, async (req, res) => {
     // Generate LLM analysis
     const analysis = await analyzeAssessment({
       type: assessment.type,
-      answers: assessment.answers,
+      answers: answersByText(assessment.answers, questionnaire),
       score: assessment.score,
       risk: assessment.risk,
       childAge
@@ -240,21 +421,70 @@ router.post('/:assessmentId/analyze', requireAuth, async (req, res) => {
   }
 });
 
+// POST /api/assessments/:assessmentId/rescore - Score the same answers against another questionnaire version
+// Body: { version?: Number (defaults to the current version), save?: Boolean }
+router.post('/:assessmentId/rescore', requireAuth, validate(schemas.rescore), requireChildAccess('params.assessmentId', Assessment), async (req, res) => {
+  try {
+    if (req.user.role !== 'doctor' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only doctors can re-score assessments' });
+    }
+
+    const assessment = await Assessment.findById(req.params.assessmentId);
+    if (OPEN_STATUSES.includes(assessment.progress?.status)) {
+      return res.status(400).json({ error: 'Assessment is not completed yet' });
+    }
+
+    const questionnaire = await Questionnaire.findById(assessment.questionnaireId);
+    if (!questionnaire) return res.status(404).json({ error: 'Questionnaire not found' });
+    await ensureCurrentVersion(questionnaire);
+
+    const version = req.body.version !== undefined ? Number(req.body.version) : questionnaire.currentVersion;
+    const target = await loadVersion(questionnaire._id, version);
+    if (!target) return res.status(404).json({ error: 'Version not found' });
+
+    const { score, risk, subscores, criticalFailures } = computeScore(normalizeAnswers(assessment.answers, target), target);
+    const rescored = { version, score, risk, subscores, criticalFailures };
+
+    if (req.body.save) {
+      assessment.rescores.push({ ...rescored, rescoredBy: req.user.id });
+      await assessment.save();
+    }
+
+    res.json({
+      assessmentId: assessment._id,
+      original: {
+        version: assessment.questionnaireVersion || 1,
+        score: assessment.score,
+        risk: assessment.risk
+      },
+      rescored,
+      saved: !!req.body.save
+    });
+  } catch (err) {
+    console.error('[Assessment] Error re-scoring assessment:', err.message);
+    res.status(500).json({ error: 'Error re-scoring assessment' });
+  }
+});
+
 
 // GET /api/assessments/progress/:childId - Get progress tracking data
-router.get('/progress/:childId', requireAuth, async (req, res) => {
+router.get('/progress/:childId', requireAuth, validate(schemas.byChild), requireChildAccess('params.childId'), async (req, res) => {
   try {
     const { childId } = req.params;
     
-    // Fetch all assessments for this child
-    const assessments = await Assessment.find({ childId })
-      .populate('questionnaireId')
-      .sort({ createdAt: -1 });
+    // Fetch all assessments and game results for this child
+    const [assessments, gameResults] = await Promise.all([
+      Assessment.find({ childId }).populate('questionnaireId').sort({ createdAt: -1 }),
+      GameAssessment.find({ childId }).sort({ completedAt: -1 })
+    ]);
+    const games = summarizeResults(gameResults);
 
     if (!assessments || assessments.length === 0) {
       return res.json({
         byQuestionnaire: {},
         totalAttempts: 0,
+        games,
+        totalGameSessions: gameResults.length,
         childId
       });
     }
@@ -284,14 +514,20 @@ router.get('/progress/:childId', requireAuth, async (req, res) => {
 
       byQuestionnaire[qId].attempts.push({
         _id: assessment._id,
-        date: assessment.createdAt,
+        date: assessment.completedAt || assessment.createdAt,
         score: assessment.score,
         risk: assessment.risk,
+        subscores: assessment.subscores,
+        criticalFailures: assessment.criticalFailures,
+        followUp: assessment.followUp,
         progress: assessment.progress
       });
 
-      byQuestionnaire[qId].scores.push(assessment.score);
-      byQuestionnaire[qId].risks.push(assessment.risk);
+      // Open drafts count towards completionRate but have no score yet
+      if (!OPEN_STATUSES.includes(assessment.progress?.status)) {
+        byQuestionnaire[qId].scores.push(assessment.score);
+        byQuestionnaire[qId].risks.push(assessment.risk);
+      }
     });
 
     // Calculate statistics for each questionnaire
@@ -337,7 +573,9 @@ router.get('/progress/:childId', requireAuth, async (req, res) => {
 
     res.json({
       byQuestionnaire,
-      totalAttempts: assessments.length,
+      totalAttempts: assessments.filter(a => !OPEN_STATUSES.includes(a.progress?.status)).length,
+      games,
+      totalGameSessions: gameResults.length,
       childId
     });
   } catch (err) {
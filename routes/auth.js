@@ -1,14 +1,86 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const DoctorApplication = require('../models/DoctorApplication');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const {
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  signAccessToken,
+  createRefreshToken,
+  issueTokens,
+  revokeAllRefreshTokens,
+  createAuthToken,
+  consumeAuthToken
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { evictUser } = require('../utils/chat');
 
-// POST /api/auth/register
-router.post('/register', async (req, res) => {
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const frontendLink = (pathname, token) =>
+  `${process.env.FRONTEND_ORIGIN || 'http://localhost:3000'}${pathname}?token=${token}`;
+
+// Email a fresh verification link. Failures are logged, not surfaced, so a mail
+// outage never blocks sign-up; the user can ask for a new link later.
+async function sendVerificationEmail(user) {
+  try {
+    const token = await createAuthToken(user._id, 'email-verification', EMAIL_VERIFICATION_TTL_MS);
+    const link = frontendLink('/verify-email', token);
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name || ''},\n\nPlease confirm your email address by opening the link below:\n${link}\n\nThe link expires in 24 hours.`
+    });
+  } catch (err) {
+    console.error('[Auth] Failed to send verification email:', err.message);
+  }
+}
+
+const userPayload = (user) => {
+  const payload = { id: user._id, name: user.name, email: user.email, role: user.role, emailVerified: !!user.emailVerified };
+  if (user.role === 'doctor') payload.doctorVerified = user.doctorVerified !== false;
+  return payload;
+};
+
+// POST /api/auth/register - Caretaker self-registration
+router.post('/register', validate(schemas.register), async (req, res) => {
   const { name, email, password, role } = req.body;
-  if (!email || !password) return res.status(400).json({ error: 'email and password required' });
+  // Only caretakers can sign themselves up; doctors apply via /register-doctor, admins are provisioned
+  if (role && role !== 'caretaker') {
+    return res.status(403).json({ error: 'Registration creates caretaker accounts only. Doctors must apply via /api/auth/register-doctor' });
+  }
+
+  try {
+    const existing = await User.findOne({ email });
+    if (existing) return res.status(409).json({ error: 'Email already in use' });
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    const user = new User({ name, email, passwordHash, role: 'caretaker' });
+    await user.save();
+    await sendVerificationEmail(user);
+
+    const { token, refreshToken } = await issueTokens(user, req.headers['user-agent']);
+
+    res.json({ token, refreshToken, expiresIn: ACCESS_TOKEN_TTL, user: userPayload(user) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/register-doctor - Doctor applies with license details
+// The account is created unverified; clinical features stay locked until an admin approves.
+router.post('/register-doctor', validate(schemas.registerDoctor), async (req, res) => {
+  const { name, email, password, licenseNumber, issuingAuthority, specialization, licenseExpiry, documentUrl } = req.body;
 
   try {
     const existing = await User.findOne({ email });
@@ -17,13 +89,46 @@ router.post('/register', async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const passwordHash = await bcrypt.hash(password, salt);
 
-  // make sure the default role matches back-end enums ('caretaker')
-  const user = new User({ name, email, passwordHash, role: role || 'caretaker' });
+    const user = new User({ name, email, passwordHash, role: 'doctor', doctorVerified: false });
     await user.save();
 
-    const token = jwt.sign({ id: user._id, email: user.email, role: user.role }, process.env.JWT_SECRET, { expiresIn: '30d' });
+    const application = new DoctorApplication({
+      userId: user._id,
+      licenseNumber,
+      issuingAuthority,
+      specialization,
+      licenseExpiry,
+      documentUrl
+    });
+    await application.save();
+    await sendVerificationEmail(user);
+
+    const { token, refreshToken } = await issueTokens(user, req.headers['user-agent']);
 
-    res.json({ token, user: { id: user._id, name: user.name, email: user.email, role: user.role } });
+    res.json({
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: userPayload(user),
+      application: { id: application._id, status: application.status }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/auth/doctor-application - Doctor checks the status of their latest application
+router.get('/doctor-application', requireAuth, async (req, res) => {
+  if (req.user.role !== 'doctor') return res.status(403).json({ error: 'Doctor only' });
+
+  try {
+    const application = await DoctorApplication.findOne({ userId: req.user.id })
+      .sort({ createdAt: -1 })
+      .select('-reviewedBy -__v');
+    if (!application) return res.status(404).json({ error: 'No application found' });
+
+    res.json({ verified: req.user.doctorVerified, application });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
@@ -31,9 +136,8 @@ router.post('/register', async (req, res) => {
 });
 
 // POST /api/auth/login
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), async (req, res) => {
   const { email, password } = req.body;
-  if (!email || !password) return res.status(400).json({ error: 'email and password required' });
 
   try {
     const user = await User.findOne({ email });
@@ -42,9 +146,188 @@ router.post('/login', async (req, res) => {
     const ok = await bcrypt.compare(password, user.passwordHash);
     if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
 
-    const token = jwt.sign({ id: user._id, email: user.email, role: user.role }, process.env.JWT_SECRET, { expiresIn: '30d' });
+    const { token, refreshToken } = await issueTokens(user, req.headers['user-agent']);
+
+    res.json({ token, refreshToken, expiresIn: ACCESS_TOKEN_TTL, user: userPayload(user) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+// The presented refresh token is revoked (rotation). Presenting an already
+// revoked token means it was stolen or replayed, so every session of that user is ended.
+router.post('/refresh', validate(schemas.refreshToken), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Claim the token atomically: of two requests with the same token, only one gets a record back
+    const record = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now } }
+    );
+    if (!record) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+      if (!existing) return res.status(401).json({ error: 'Invalid refresh token' });
+
+      if (existing.revokedAt) {
+        console.warn('[Auth] Refresh token reuse detected for user:', existing.userId.toString());
+        await revokeAllRefreshTokens(existing.userId);
+        await User.findByIdAndUpdate(existing.userId, { $inc: { tokenVersion: 1 } });
+        evictUser(req.app.get('io'), existing.userId);
+        return res.status(401).json({ error: 'Refresh token revoked' });
+      }
+      return res.status(401).json({ error: 'Refresh token expired' });
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) {
+      await revokeAllRefreshTokens(record.userId);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const { refreshToken: nextRefreshToken, record: nextRecord } = await createRefreshToken(user, req.headers['user-agent']);
+    await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedBy: nextRecord.tokenHash } });
+
+    res.json({
+      token: signAccessToken(user),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: userPayload(user)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/logout - Revoke the given refresh token (this device only)
+router.post('/logout', validate(schemas.refreshToken), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    // Holding the refresh token is enough, so clients whose access token expired can still log out
+    await RefreshToken.updateOne(
+      { tokenHash: hashToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/logout-all - Revoke every refresh token and invalidate issued access tokens
+router.post('/logout-all', requireAuth, async (req, res) => {
+  try {
+    await revokeAllRefreshTokens(req.user.id);
+    await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+    evictUser(req.app.get('io'), req.user.id);
+    res.json({ message: 'Logged out from all devices' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+// Always answers the same way so the endpoint cannot be used to probe for accounts.
+router.post('/forgot-password', validate(schemas.forgotPassword), async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (user) {
+      // A mail failure must not change the response either, or it would reveal the account
+      try {
+        const token = await createAuthToken(user._id, 'password-reset', PASSWORD_RESET_TTL_MS);
+        const link = frontendLink('/reset-password', token);
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hi ${user.name || ''},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`
+        });
+      } catch (err) {
+        console.error('[Auth] Failed to send password reset email:', err.message);
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password using an emailed token
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const record = await consumeAuthToken(token, 'password-reset');
+    if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    // The reset link proves control of the mailbox, so the email counts as verified.
+    // Existing sessions are ended in case the old password was compromised.
+    const user = await User.findByIdAndUpdate(
+      record.userId,
+      {
+        $set: { passwordHash, emailVerified: true, emailVerifiedAt: new Date() },
+        $inc: { tokenVersion: 1 }
+      },
+      { new: true }
+    );
+    if (!user) return res.status(400).json({ error: 'Invalid or expired token' });
+
+    await revokeAllRefreshTokens(user._id);
+    evictUser(req.app.get('io'), user._id);
+
+    res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm an email address using an emailed token
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    const record = await consumeAuthToken(token, 'email-verification');
+    if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+
+    const user = await User.findByIdAndUpdate(
+      record.userId,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!user) return res.status(400).json({ error: 'Invalid or expired token' });
+
+    res.json({ message: 'Email verified', user: userPayload(user) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/resend-verification - Send a new verification link to the logged-in user
+router.post('/resend-verification', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.emailVerified) return res.status(400).json({ error: 'Email already verified' });
 
-    res.json({ token, user: { id: user._id, name: user.name, email: user.email, role: user.role } });
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
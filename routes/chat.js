@@ -1,20 +1,76 @@
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/auth');
-const mongoose = require('mongoose');
-
-const ChatMessage = mongoose.model('ChatMessage', new mongoose.Schema({
-  childId: { type: mongoose.Schema.Types.ObjectId, ref: 'Child', required: true },
-  senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  message: String,
-  timestamp: { type: Date, default: Date.now }
-}));
-
-// GET /api/chat/messages/:childId
-router.get('/messages/:childId', requireAuth, async (req, res) => {
+const ChatMessage = require('../models/ChatMessage');
+const { requireAuth, requireChildAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../schemas/chat');
+const { toClient, unreadSummary } = require('../utils/chat');
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// GET /api/chat/unread - unread messages per child room for the current user
+router.get('/unread', requireAuth, async (req, res) => {
   try {
-    const messages = await ChatMessage.find({ childId: req.params.childId }).sort({ timestamp: 1 });
-    res.json(messages);
+    res.json(await unreadSummary(req.user));
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching unread messages' });
+  }
+});
+
+const PAGING_PARAMS = ['before', 'after', 'limit', 'q'];
+
+// GET /api/chat/messages/:childId?before=|after=<messageId>&limit=&q=
+// One page of the room's messages, oldest first, as { messages, hasMore, cursors }.
+// Without a cursor: the latest page. Without any paging parameter: the whole
+// history as a bare array, the response existing clients expect.
+router.get('/messages/:childId', requireAuth, validate(schemas.messages), requireChildAccess('params.childId'), async (req, res) => {
+  try {
+    const { childId } = req.params;
+    if (!PAGING_PARAMS.some(param => req.query[param] !== undefined)) {
+      const messages = await ChatMessage.find({ childId }).sort({ timestamp: 1, _id: 1 });
+      return res.json(messages.map(m => toClient(m, req.user)));
+    }
+
+    const { before, after, q, limit = DEFAULT_PAGE_SIZE } = req.query;
+    if (before && after) {
+      return sendError(res, 400, 'Invalid request', {
+        code: 'VALIDATION_ERROR',
+        details: [{ field: 'query.after', message: 'cannot be combined with before' }],
+      });
+    }
+
+    const query = { childId };
+    if (q) {
+      // Search skips deleted messages; matches are paged by time like the rest of the history
+      query.$text = { $search: q };
+      query.deletedAt = null;
+    }
+
+    // Messages are ordered by (timestamp, _id); the cursor message is excluded from its page
+    const cursorId = before || after;
+    if (cursorId) {
+      const cursor = await ChatMessage.findOne({ _id: cursorId, childId }).select('timestamp').lean();
+      if (!cursor) return sendError(res, 404, 'Cursor message not found in this room');
+      const op = before ? '$lt' : '$gt';
+      query.$or = [
+        { timestamp: { [op]: cursor.timestamp } },
+        { timestamp: cursor.timestamp, _id: { [op]: cursor._id } },
+      ];
+    }
+
+    const direction = after ? 1 : -1;
+    const found = await ChatMessage.find(query).sort({ timestamp: direction, _id: direction }).limit(limit + 1);
+    const hasMore = found.length > limit;
+    const page = found.slice(0, limit);
+    if (direction === -1) page.reverse();
+
+    res.json({
+      messages: page.map(m => toClient(m, req.user)),
+      // hasMore: older messages exist (newer ones for `after`)
+      hasMore,
+      cursors: page.length > 0 ? { before: page[0]._id, after: page[page.length - 1]._id } : null,
+    });
   } catch (err) {
     res.status(500).json({ error: 'Error fetching chat messages' });
   }
@@ -2,10 +2,12 @@ const express = require('express');
 const router = express.Router();
 const Child = require('../models/Child');
 const Assessment = require('../models/Assessment');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireChildAccess, blockUnverifiedDoctors } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/children');
 
 // POST /api/children/add
-router.post('/add', requireAuth, async (req, res) => {
+router.post('/add', requireAuth, validate(schemas.add), async (req, res) => {
   const { name, dob, gender, notes, medicalHistory } = req.body;
   try {
     const child = new Child({
@@ -36,7 +38,7 @@ router.get('/my', requireAuth, async (req, res) => {
 });
 
 // GET /api/children/authorized (for doctors)
-router.get('/authorized', requireAuth, async (req, res) => {
+router.get('/authorized', requireAuth, blockUnverifiedDoctors, async (req, res) => {
   try {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({ error: 'Access denied. Only doctors can use this endpoint.' });
@@ -53,12 +55,13 @@ router.get('/authorized', requireAuth, async (req, res) => {
     // Enrich with latest assessment info & risk
     const enriched = await Promise.all(children.map(async (child) => {
       const latest = await Assessment.find({ childId: child._id })
-        .sort({ createdAt: -1 })
+        .completed()
+        .sort({ completedAt: -1, createdAt: -1 })
         .limit(1);
       const last = latest[0];
       const obj = child.toObject();
       if (last) {
-        obj.lastAssessmentDate = last.createdAt;
+        obj.lastAssessmentDate = last.completedAt || last.createdAt;
         obj.riskLevel = last.risk;
         obj.status = 'completed';
       } else {
@@ -77,12 +80,18 @@ router.get('/authorized', requireAuth, async (req, res) => {
 
 
 // PUT /api/children/:childId
-router.put('/:childId', requireAuth, async (req, res) => {
+router.put('/:childId', requireAuth, validate(schemas.update), async (req, res) => {
   try {
+    // Only the fields declared in the schema can be changed (not caretakerId or authorizedDoctors)
+    const updates = {};
+    Object.keys(schemas.update.body).forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
     const child = await Child.findOneAndUpdate(
       { _id: req.params.childId, caretakerId: req.user.id },
-      req.body,
-      { new: true }
+      updates,
+      { new: true, runValidators: true }
     );
     if (!child) return res.status(404).json({ error: 'Child not found' });
     res.json({ message: 'Child updated successfully', child });
@@ -92,7 +101,7 @@ router.put('/:childId', requireAuth, async (req, res) => {
 });
 
 // DELETE /api/children/:childId
-router.delete('/:childId', requireAuth, async (req, res) => {
+router.delete('/:childId', requireAuth, validate(schemas.byChild), async (req, res) => {
   try {
     const deleted = await Child.findOneAndDelete({
       _id: req.params.childId,
@@ -106,32 +115,13 @@ router.delete('/:childId', requireAuth, async (req, res) => {
 });
 
 // GET /api/children/:childId  (single child)
-router.get('/:childId', requireAuth, async (req, res) => {
-  try {
-    const child = await Child.findById(req.params.childId);
-    if (!child) return res.status(404).json({ error: 'Child not found' });
-
-    // Authorization check:
-    // - Caretaker who owns the child
-    // - Admin (full access)
-    // - Doctor with approved access
-    const isOwner = child.caretakerId.toString() === req.user.id;
-    const isAdmin = req.user.role === 'admin';
-    const isAuthorizedDoctor = req.user.role === 'doctor' && 
-      child.authorizedDoctors.some(docId => docId.toString() === req.user.id);
-
-    if (!isOwner && !isAdmin && !isAuthorizedDoctor) {
-      return res.status(403).json({ error: 'Access denied. Request access from caretaker first.' });
-    }
-
-    res.json(child);
-  } catch (err) {
-    res.status(500).json({ error: 'Error fetching child' });
-  }
+// Owner, admins and authorized doctors are let through by requireChildAccess
+router.get('/:childId', requireAuth, validate(schemas.byChild), requireChildAccess('params.childId'), async (req, res) => {
+  res.json(req.child);
 });
 
 // GET /api/children/:childId/authorized-doctors
-router.get('/:childId/authorized-doctors', requireAuth, async (req, res) => {
+router.get('/:childId/authorized-doctors', requireAuth, validate(schemas.byChild), async (req, res) => {
   try {
     const child = await Child.findById(req.params.childId).populate('authorizedDoctors', 'name email phone');
     
@@ -5,6 +5,7 @@ const Assessment = require('../models/Assessment');
 const Child = require('../models/Child');
 const Report = require('../models/Report');
 const User = require('../models/User');
+const { unreadSummary } = require('../utils/chat');
 
 // GET /api/admin/overview
 router.get('/admin/overview', requireAuth, async (req, res) => {
@@ -34,9 +35,12 @@ router.get('/caretaker/dashboard', requireAuth, async (req, res) => {
     const children = await Child.find({ caretakerId: req.user.id });
     const reports = await Report.find({ childId: { $in: children.map(c => c._id) } })
       .sort({ createdAt: -1 }).limit(5);
+    const unread = await unreadSummary(req.user);
 
     res.json({
       childrenCount: children.length,
+      unreadMessages: unread.total,
+      unreadByChild: unread.rooms,
       latestReports: reports.map(r => ({
         childId: r.childId,
         summary: r.text,
@@ -56,7 +60,8 @@ router.get('/doctor/dashboard', requireAuth, async (req, res) => {
 
     const totalReports = await Report.countDocuments({ doctorId: req.user.id });
     const recentReports = await Report.find({ doctorId: req.user.id }).sort({ createdAt: -1 }).limit(5);
-    res.json({ totalReports, recentReports });
+    const unread = await unreadSummary(req.user);
+    res.json({ totalReports, recentReports, unreadMessages: unread.total, unreadByChild: unread.rooms });
   } catch (err) {
     res.status(500).json({ error: 'Error loading doctor dashboard' });
   }
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const Assessment = require('../models/Assessment');
+const FollowUp = require('../models/FollowUp');
+const Questionnaire = require('../models/Questionnaire');
+const { requireAuth, blockUnverifiedDoctors, requireChildAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/follow-up');
+const { computeScore, riskForScore, buildQuestionLookup } = require('../utils/scoring');
+const { questionnaireForAssessment } = require('../utils/questionnaire-versions');
+const { normalizeAnswers } = require('../utils/questions');
+
+// M-CHAT-R/F: 0-1 items failed on follow-up screens negative, 2+ screens positive
+const DEFAULT_FOLLOW_UP_RULES = [
+  { minScore: 0, maxScore: 1, riskLevel: 'Low', description: 'Screen negative' },
+  { minScore: 2, riskLevel: 'High', description: 'Screen positive - refer for diagnostic evaluation' }
+];
+
+// The medium band is labelled 'Medium' or 'Moderate' depending on the questionnaire
+const MEDIUM_RISKS = ['Medium', 'Moderate'];
+
+const supportsFollowUp = (questionnaire) =>
+  !!questionnaire && (questionnaire.followUpEnabled || /m-?chat/i.test(questionnaire.name || ''));
+
+const followUpRules = (questionnaire) =>
+  questionnaire.followUpScoringRules && questionnaire.followUpScoringRules.length > 0
+    ? questionnaire.followUpScoringRules
+    : DEFAULT_FOLLOW_UP_RULES;
+
+// The follow-up interview is clinician-administered: verified doctors and admins
+// conduct and score it, caretakers can only read the result
+const requireClinician = (req, res, next) => {
+  if (req.user.role !== 'doctor' && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only doctors can conduct the follow-up interview' });
+  }
+  return next();
+};
+
+/**
+ * POST /api/assessments/:assessmentId/follow-up
+ * Start the follow-up interview for a Medium-risk M-CHAT assessment.
+ * Returns the open session if one already exists.
+ */
+router.post('/:assessmentId/follow-up', requireAuth, blockUnverifiedDoctors, requireClinician, validate(schemas.byAssessment), requireChildAccess('params.assessmentId', Assessment), async (req, res) => {
+  try {
+    const assessment = await Assessment.findById(req.params.assessmentId);
+    if (assessment.progress?.status === 'draft' || assessment.progress?.status === 'in-progress') {
+      return res.status(400).json({ error: 'Assessment is not completed yet' });
+    }
+    if (!MEDIUM_RISKS.includes(assessment.risk)) {
+      return res.status(400).json({ error: 'Follow-up is only available for Medium-risk results' });
+    }
+
+    const head = await Questionnaire.findById(assessment.questionnaireId);
+    // Items come from the version the assessment was taken on
+    const questionnaire = head && await questionnaireForAssessment(assessment, head);
+    if (!supportsFollowUp(questionnaire)) {
+      return res.status(400).json({ error: 'This questionnaire has no follow-up interview' });
+    }
+
+    const existing = await FollowUp.findOne({ assessmentId: assessment._id }).sort({ createdAt: -1 });
+    if (existing && existing.status === 'in-progress') return res.json(existing);
+    if (existing) return res.status(400).json({ error: 'Follow-up already completed for this assessment', followUp: existing });
+
+    // Re-score to find the failed items; only those are asked again
+    const { itemScores, score } = computeScore(normalizeAnswers(assessment.answers, questionnaire), questionnaire);
+    const findQuestion = buildQuestionLookup(questionnaire.questions);
+
+    const items = Object.entries(itemScores)
+      .filter(([, itemScore]) => itemScore > 0)
+      .map(([key, itemScore]) => {
+        const question = findQuestion(key);
+        return {
+          questionKey: key,
+          questionText: question ? question.text : key,
+          prompt: (question && question.followUpPrompt) || (question ? question.text : key),
+          initialScore: itemScore
+        };
+      });
+
+    const followUp = new FollowUp({
+      assessmentId: assessment._id,
+      childId: assessment.childId,
+      questionnaireId: assessment.questionnaireId,
+      attemptNumber: assessment.attemptNumber,
+      conductedBy: req.user.id,
+      items,
+      initialScore: score,
+      initialRisk: assessment.risk
+    });
+    await followUp.save();
+    console.log('[FollowUp] Started follow-up', followUp._id, 'with', items.length, 'items for assessment', assessment._id);
+
+    res.json(followUp);
+  } catch (err) {
+    console.error('[FollowUp] Error starting follow-up:', err);
+    res.status(500).json({ error: 'Error starting follow-up' });
+  }
+});
+
+/**
+ * GET /api/assessments/:assessmentId/follow-up
+ * Latest follow-up session for an assessment
+ */
+router.get('/:assessmentId/follow-up', requireAuth, validate(schemas.byAssessment), requireChildAccess('params.assessmentId', Assessment), async (req, res) => {
+  try {
+    const followUp = await FollowUp.findOne({ assessmentId: req.params.assessmentId })
+      .sort({ createdAt: -1 })
+      .populate('conductedBy', 'name email role');
+    if (!followUp) return res.status(404).json({ error: 'Follow-up not found' });
+    res.json(followUp);
+  } catch (err) {
+    console.error('[FollowUp] Error fetching follow-up:', err);
+    res.status(500).json({ error: 'Error fetching follow-up' });
+  }
+});
+
+/**
+ * PUT /api/assessments/follow-ups/:followUpId/items/:itemId
+ * Record pass/fail for one follow-up item. Body: { result: 'pass'|'fail', notes? }
+ */
+router.put('/follow-ups/:followUpId/items/:itemId', requireAuth, blockUnverifiedDoctors, requireClinician, validate(schemas.answerItem), requireChildAccess('params.followUpId', FollowUp), async (req, res) => {
+  const { result, notes } = req.body;
+
+  try {
+    const followUp = await FollowUp.findById(req.params.followUpId);
+    if (followUp.status === 'completed') return res.status(400).json({ error: 'Follow-up is already completed' });
+
+    const item = followUp.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ error: 'Follow-up item not found' });
+
+    item.result = result;
+    if (notes !== undefined) item.notes = notes;
+    item.answeredAt = new Date();
+    await followUp.save();
+
+    res.json(followUp);
+  } catch (err) {
+    console.error('[FollowUp] Error recording item:', err);
+    res.status(500).json({ error: 'Error recording follow-up item' });
+  }
+});
+
+/**
+ * POST /api/assessments/follow-ups/:followUpId/complete
+ * Score the follow-up and store the final risk on the original assessment
+ */
+router.post('/follow-ups/:followUpId/complete', requireAuth, blockUnverifiedDoctors, requireClinician, validate(schemas.complete), requireChildAccess('params.followUpId', FollowUp), async (req, res) => {
+  try {
+    const followUp = await FollowUp.findById(req.params.followUpId);
+    if (followUp.status === 'completed') return res.status(400).json({ error: 'Follow-up is already completed' });
+
+    const unanswered = followUp.items.filter(item => !item.result).length;
+    if (unanswered > 0) {
+      return res.status(400).json({ error: 'All follow-up items must be answered before completing', unanswered });
+    }
+
+    const head = await Questionnaire.findById(followUp.questionnaireId);
+    if (!head) return res.status(404).json({ error: 'Questionnaire not found' });
+    const assessment = await Assessment.findById(followUp.assessmentId);
+    const questionnaire = assessment ? await questionnaireForAssessment(assessment, head) : head;
+
+    const finalScore = followUp.items.filter(item => item.result === 'fail').length;
+    const finalRisk = riskForScore(finalScore, { scoringRules: followUpRules(questionnaire) });
+
+    followUp.finalScore = finalScore;
+    followUp.finalRisk = finalRisk;
+    followUp.status = 'completed';
+    followUp.completedAt = new Date();
+    await followUp.save();
+
+    await Assessment.findByIdAndUpdate(followUp.assessmentId, {
+      $set: {
+        followUp: {
+          followUpId: followUp._id,
+          finalScore,
+          finalRisk,
+          completedAt: followUp.completedAt
+        }
+      }
+    });
+    console.log('[FollowUp] Completed follow-up', followUp._id, 'final score:', finalScore, 'final risk:', finalRisk);
+
+    res.json(followUp);
+  } catch (err) {
+    console.error('[FollowUp] Error completing follow-up:', err);
+    res.status(500).json({ error: 'Error completing follow-up' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const multer = require('multer');
+const { parse } = require('csv-parse');
+const GameNorm = require('../models/GameNorm');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { parseNormRows } = require('../utils/games/norms');
+const schemas = require('../schemas/games');
+
+// Mounted at /api/games/norms (before the game engine routes)
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage() });
+
+// GET /api/games/norms?gameType=&metric= - Reference norms
+router.get('/', requireAuth, validate(schemas.listNorms), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.gameType) filter.gameType = req.query.gameType;
+    if (req.query.metric) filter.metric = req.query.metric;
+
+    const norms = await GameNorm.find(filter).sort({ gameType: 1, metric: 1, difficulty: 1, minMonths: 1 });
+    res.json({ success: true, norms });
+  } catch (error) {
+    console.error('[GameNorms] Error listing norms:', error);
+    res.status(500).json({ error: 'Error fetching norms' });
+  }
+});
+
+// POST /api/games/norms/import (Admin only)
+// multipart/form-data: file, replace? (drop existing norms for the game/metric pairs in the file), source?
+router.post('/import', requireAuth, requireAdmin, upload.single('file'), validate(schemas.importNorms), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'CSV file is required (field name: file)' });
+
+    const records = await new Promise((resolve, reject) => {
+      parse(req.file.buffer, { columns: true, skip_empty_lines: true, trim: true }, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'CSV appears to be empty or invalid' });
+    }
+
+    const { norms, details } = parseNormRows(records);
+    if (details.length > 0) {
+      return sendError(res, 400, 'Invalid norms CSV', { code: 'VALIDATION_ERROR', details });
+    }
+
+    const stamp = { importedBy: req.user.id, importedAt: new Date() };
+    if (req.body.source) norms.forEach((n) => { if (!n.source) n.source = req.body.source; });
+
+    let removed = 0;
+    if (req.body.replace) {
+      const pairs = [...new Set(norms.map(n => `${n.gameType}\u0000${n.metric}`))].map((key) => {
+        const [gameType, metric] = key.split('\u0000');
+        return { gameType, metric };
+      });
+      removed = (await GameNorm.deleteMany({ $or: pairs })).deletedCount;
+    }
+
+    const result = await GameNorm.bulkWrite(norms.map(n => ({
+      updateOne: {
+        filter: { gameType: n.gameType, metric: n.metric, difficulty: n.difficulty, minMonths: n.minMonths, maxMonths: n.maxMonths },
+        update: { $set: { ...n, ...stamp } },
+        upsert: true
+      }
+    })));
+
+    console.log('[GameNorms] Imported', norms.length, 'norm rows by', req.user.id);
+    res.json({
+      success: true,
+      imported: norms.length,
+      created: result.upsertedCount,
+      updated: result.modifiedCount,
+      removed
+    });
+  } catch (error) {
+    console.error('[GameNorms] Import failed:', error);
+    if (/^CSV_/.test(error.code || '')) {
+      return sendError(res, 400, `Could not parse CSV: ${error.message}`);
+    }
+    res.status(500).json({ error: 'Error importing norms' });
+  }
+});
+
+// DELETE /api/games/norms/:id (Admin only)
+router.delete('/:id', requireAuth, requireAdmin, validate(schemas.normById), async (req, res) => {
+  try {
+    const norm = await GameNorm.findByIdAndDelete(req.params.id);
+    if (!norm) return res.status(404).json({ error: 'Norm not found' });
+    res.json({ success: true, message: 'Norm deleted' });
+  } catch (error) {
+    console.error('[GameNorms] Error deleting norm:', error);
+    res.status(500).json({ error: 'Error deleting norm' });
+  }
+});
+
+module.exports = router;
@@ -1,156 +1,221 @@
 const express = require('express');
 const GameSession = require('../models/Game');
 const Assessment = require('../models/Assessment');
-const { requireAuth } = require('../middleware/auth');
-
+const GameAssessment = require('../models/GameAssessment');
+const GameNorm = require('../models/GameNorm');
+const GameTelemetry = require('../models/GameTelemetry');
+const { requireAuth, requireChildAccess } = require('../middleware/auth');
+const { validate, checkObject } = require('../middleware/validate');
+const { ApiError, sendError } = require('../middleware/errors');
+const { randomSeed } = require('../utils/games/random');
+const games = require('../utils/games');
+const { compareToNorms } = require('../utils/games/norms');
+const { idleMinutes, idleExpiresAt, isIdle, abandonSession } = require('../utils/games/abandonment');
+const { resolveConfig, nearestDifficulty, checkConfig, recommendConfig } = require('../utils/games/adaptive');
+const schemas = require('../schemas/games');
+
+// Mounted at /api/games; every game type in utils/games is served by the same routes
 const router = express.Router();
 
+// Resolve :gameType to its registered definition
+function resolveGameType(req, res, next) {
+  const definition = games.getGameType(req.params.gameType);
+  if (!definition) return sendError(res, 404, `Unknown game type: ${req.params.gameType}`);
+  req.game = definition;
+  next();
+}
+
+// Check the body against the game type's own rules
+function validateBody(rulesKey) {
+  return (req, res, next) => {
+    const details = checkObject(req.body, req.game[rulesKey] || {}, 'body.');
+    if (details.length > 0) {
+      return sendError(res, 400, 'Invalid request', { code: 'VALIDATION_ERROR', details });
+    }
+    next();
+  };
+}
+
+// ApiErrors thrown by a game definition keep their status; anything else is a
+// logged 500 that doesn't pass database messages on to the client
+function handleError(res, error) {
+  if (error instanceof ApiError) {
+    return sendError(res, error.status, error.message, { code: error.code, details: error.details });
+  }
+  // Another request saved the session first (optimisticConcurrency); the client retries on fresh state
+  if (error.name === 'VersionError') {
+    return sendError(res, 409, 'Session was updated by another request; try again', { code: 'CONFLICT' });
+  }
+  console.error('[Games] Error:', error);
+  return sendError(res, 500, 'Server error');
+}
+
+// Assessment to link a result to; must belong to the session's child
+async function loadLinkedAssessment(assessmentId, session) {
+  if (!assessmentId) return assessmentId;
+  const assessment = await Assessment.findById(assessmentId).select('childId attemptNumber');
+  if (!assessment) throw new ApiError(404, 'Assessment not found');
+  if (assessment.childId.toString() !== session.childId.toString()) {
+    throw new ApiError(400, 'Assessment belongs to a different child');
+  }
+  return assessment;
+}
+
+// Load an in-progress session of the requested game type
+async function loadSession(req, res) {
+  const session = await GameSession.findById(req.body.sessionId);
+  if (!session) {
+    sendError(res, 404, 'Session not found');
+    return null;
+  }
+  if (session.gameType !== req.game.type) {
+    sendError(res, 400, `Session is a ${session.gameType} game, not ${req.game.type}`);
+    return null;
+  }
+  if (isIdle(session)) await abandonSession(session);
+  if (session.status !== 'in-progress') {
+    sendError(res, 409, `Session is already ${session.status}`);
+    return null;
+  }
+  return session;
+}
+
+// Completed sessions the adaptive controller looks at, newest first
+const recentCompleted = (childId, gameType) =>
+  GameSession.find({ childId, gameType, status: 'completed' }).sort({ createdAt: -1 }).limit(10);
+
+// List available game types and their difficulty settings
+router.get('/types', requireAuth, (req, res) => {
+  const types = games.listGameTypes().map(g => ({
+    type: g.type,
+    label: g.label,
+    aliases: g.aliases || [],
+    difficulties: g.difficulties,
+    adaptive: g.adaptive || null,
+  }));
+  res.json({ success: true, types });
+});
+
 // Start a new game session
-router.post('/api/games/memory/start', requireAuth, async (req, res) => {
+router.post('/:gameType/start', requireAuth, resolveGameType, validate(schemas.start), requireChildAccess('body.childId'), async (req, res) => {
   try {
-    const { childId, difficulty = 'easy' } = req.body;
+    const { childId, seed, config: overrides, adaptive } = req.body;
+    let { difficulty = 'easy' } = req.body;
+    let config;
+    let configSource = 'preset';
+
+    // A known seed reveals hidden content (a memory board, upcoming targets); only admins may replay one
+    if (seed !== undefined && req.game.hiddenState && req.user.role !== 'admin') {
+      return sendError(res, 403, 'Only admins can choose the seed for this game', {
+        code: 'FORBIDDEN',
+        details: [{ field: 'body.seed', message: 'is only allowed for admin replays of this game type' }],
+      });
+    }
+    if (adaptive && overrides) {
+      return sendError(res, 400, 'Invalid request', {
+        code: 'VALIDATION_ERROR',
+        details: [{ field: 'body.config', message: 'cannot be combined with adaptive' }],
+      });
+    }
+    if (adaptive) {
+      ({ difficulty, config } = recommendConfig(req.game, await recentCompleted(childId, req.game.type)));
+      configSource = 'adaptive';
+    } else if (overrides && Object.keys(overrides).length > 0) {
+      const details = checkConfig(req.game, overrides);
+      if (details.length > 0) return sendError(res, 400, 'Invalid request', { code: 'VALIDATION_ERROR', details });
+      config = resolveConfig(req.game, difficulty, overrides);
+      // Label the session with the preset its parameters are closest to
+      difficulty = nearestDifficulty(req.game, config);
+      configSource = 'custom';
+    } else {
+      config = resolveConfig(req.game, difficulty);
+    }
 
     const gameSession = new GameSession({
       childId,
-      gameType: 'memory',
+      gameType: req.game.type,
       difficulty,
+      config,
+      configSource,
+      seed: seed !== undefined ? seed : randomSeed(),
       status: 'in-progress',
-      gameDetails: {
-        cardsFlipped: [],
-        matchedPairs: 0,
-      },
+      gameDetails: { matchedPairs: 0 },
     });
+    const extra = req.game.start(gameSession, config) || {};
 
     await gameSession.save();
     res.json({
       success: true,
       sessionId: gameSession._id,
+      gameType: gameSession.gameType,
       difficulty: gameSession.difficulty,
-      totalCards: difficulty === 'easy' ? 8 : difficulty === 'medium' ? 12 : 16,
+      config,
+      configSource,
+      ...extra,
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleError(res, error);
   }
 });
 
-// Record a card flip
-router.post('/api/games/memory/flip', requireAuth, async (req, res) => {
-  try {
-    const { sessionId, cardIndex, isCorrect, reactionTime } = req.body;
-
-    const session = await GameSession.findById(sessionId);
-    if (!session) return res.status(404).json({ success: false, error: 'Session not found' });
-
-    session.gameDetails.cardsFlipped.push({
-      cardIndex,
-      timestamp: new Date(),
-      correct: isCorrect,
-    });
-
-    if (isCorrect) {
-      session.correctMatches++;
-      session.gameDetails.matchedPairs++;
-    } else {
-      session.errorCount++;
-    }
-
-    session.moves++;
-
-    // Update reaction times
-    const times = session.gameDetails.cardsFlipped
-      .map((f) => {
-        if (f !== session.gameDetails.cardsFlipped[0]) {
-          return (
-            f.timestamp - session.gameDetails.cardsFlipped[session.gameDetails.cardsFlipped.indexOf(f) - 1].timestamp
-          );
-        }
-        return 0;
-      })
-      .filter((t) => t > 0);
-
-    if (times.length > 0) {
-      session.gameDetails.averageTimePerMove = times.reduce((a, b) => a + b) / times.length;
-      session.gameDetails.fastestMove = Math.min(...times);
-      session.gameDetails.slowestMove = Math.max(...times);
-      session.reactionTime = Math.round(session.gameDetails.averageTimePerMove);
-    }
+// Append telemetry events ({ type, t, x, y, data }, t in ms since the session started)
+async function storeTelemetry(session, events) {
+  // Reserve a seq range so concurrent batches keep their arrival order
+  const reserved = await GameSession.findByIdAndUpdate(session._id, { $inc: { telemetryEvents: events.length } }).select('telemetryEvents');
+  const first = reserved.telemetryEvents || 0;
+  const start = session.createdAt.getTime();
+
+  await GameTelemetry.insertMany(events.map((e, idx) => ({
+    at: new Date(start + e.t),
+    session: session._id,
+    seq: first + idx,
+    type: e.type,
+    x: e.x,
+    y: e.y,
+    data: e.data,
+  })));
+  return first + events.length;
+}
 
-    session.accuracy = Math.round((session.correctMatches / session.moves) * 100);
+// Record one event (card flip, target hit, ...)
+async function recordEvent(req, res) {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
 
+    const result = req.game.event(session, req.body);
+    games.recordEvent(session, result);
+    session.markModified('state');
     await session.save();
-    res.json({ success: true, accuracy: session.accuracy, moves: session.moves });
+
+    // Raw input behind the event (e.g. gaze samples) is kept with the client telemetry,
+    // stored once the event itself is saved so a conflicting save leaves none behind
+    if (result.telemetry && result.telemetry.length > 0) await storeTelemetry(session, result.telemetry);
+    res.json({ success: true, accuracy: session.accuracy, moves: session.moves, ...(result.response || {}) });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleError(res, error);
   }
-});
+}
 
-// Complete game session
-router.post('/api/games/memory/complete', requireAuth, async (req, res) => {
-  try {
-    const { sessionId, totalTime } = req.body;
+router.post('/:gameType/event', requireAuth, resolveGameType, validate(schemas.event), validateBody('eventSchema'), requireChildAccess('body.sessionId', GameSession), recordEvent);
 
-    const session = await GameSession.findById(sessionId);
-    if (!session) return res.status(404).json({ success: false, error: 'Session not found' });
+// Complete a game session
+router.post('/:gameType/complete', requireAuth, resolveGameType, validate(schemas.complete), validateBody('completeSchema'), requireChildAccess('body.sessionId', GameSession), async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    const assessment = await loadLinkedAssessment(req.body.assessmentId, session);
 
     session.status = 'completed';
-    session.totalTime = totalTime;
-
-    // Calculate final score (0-100)
-    const accuracyScore = session.accuracy || 0;
-    const speedScore = Math.max(0, 100 - Math.round(totalTime / 10));
-    const efficiencyScore = Math.max(0, 100 - Math.round((session.moves / (session.totalMatches * 2)) * 100));
-
-    session.score = Math.round((accuracyScore + speedScore + efficiencyScore) / 3);
-
-    // Calculate consistency (lower variance in reaction times = higher consistency)
-    if (session.gameDetails.cardsFlipped.length > 1) {
-      const times = [];
-      for (let i = 1; i < session.gameDetails.cardsFlipped.length; i++) {
-        times.push(
-          session.gameDetails.cardsFlipped[i].timestamp - session.gameDetails.cardsFlipped[i - 1].timestamp
-        );
-      }
-      const mean = times.reduce((a, b) => a + b) / times.length;
-      const variance = times.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / times.length;
-      const stdDev = Math.sqrt(variance);
-      session.consistency = Math.max(0, 100 - Math.round(stdDev / 10));
-    }
+    if (req.body.totalTime !== undefined) session.totalTime = req.body.totalTime;
 
-    await session.save();
+    games.finalizeTiming(session);
+    const extra = req.game.complete(session, req.body) || {};
+    session.markModified('state');
+    session.markModified('metrics');
 
-    // Create or update assessment based on game score
-    const assessment = await Assessment.findOneAndUpdate(
-      { childId: session.childId, 'gameAssessments.gameSessionId': session._id },
-      {
-        $set: {
-          'gameAssessments.$.score': session.score,
-          'gameAssessments.$.accuracy': session.accuracy,
-          'gameAssessments.$.reactionTime': session.reactionTime,
-        },
-      },
-      { new: true }
-    );
-
-    if (!assessment) {
-      // Create new assessment entry
-      await Assessment.findByIdAndUpdate(
-        session.childId,
-        {
-          $push: {
-            gameAssessments: {
-              gameType: 'memory',
-              gameSessionId: session._id,
-              score: session.score,
-              accuracy: session.accuracy,
-              reactionTime: session.reactionTime,
-              difficulty: session.difficulty,
-              completedAt: new Date(),
-            },
-          },
-        },
-        { new: true }
-      );
-    }
+    await session.save();
+    const result = await GameAssessment.fromSession(session, { assessment, userId: req.user.id });
 
     res.json({
       success: true,
@@ -158,72 +223,174 @@ router.post('/api/games/memory/complete', requireAuth, async (req, res) => {
       accuracy: session.accuracy,
       totalTime: session.totalTime,
       consistency: session.consistency,
+      metrics: session.metrics,
+      gameAssessmentId: result._id,
+      ...extra,
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleError(res, error);
+  }
+});
+
+// Link a completed session's result to an assessment (assessmentId: null unlinks it)
+router.put('/sessions/:sessionId/assessment', requireAuth, validate(schemas.linkAssessment), requireChildAccess('params.sessionId', GameSession), async (req, res) => {
+  try {
+    const session = await GameSession.findById(req.params.sessionId);
+    if (session.status !== 'completed') {
+      return sendError(res, 409, 'Only completed sessions can be linked to an assessment');
+    }
+    const assessment = await loadLinkedAssessment(req.body.assessmentId, session);
+    const result = await GameAssessment.fromSession(session, { assessment, userId: req.user.id });
+
+    res.json({ success: true, gameAssessment: result });
+  } catch (error) {
+    handleError(res, error);
   }
 });
 
 // Get game history
-router.get('/api/games/memory/history/:childId', requireAuth, async (req, res) => {
+router.get('/:gameType/history/:childId', requireAuth, resolveGameType, validate(schemas.byChild), requireChildAccess('params.childId'), async (req, res) => {
   try {
     const { childId } = req.params;
-    const games = await GameSession.find({ childId, gameType: 'memory', status: 'completed' })
+    const history = await GameSession.find({ childId, gameType: req.game.type, status: 'completed' })
       .sort({ createdAt: -1 })
       .limit(10);
 
-    res.json({ success: true, games });
+    res.json({ success: true, games: history });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleError(res, error);
   }
 });
 
 // Get game stats
-router.get('/api/games/memory/stats/:childId', requireAuth, async (req, res) => {
+router.get('/:gameType/stats/:childId', requireAuth, resolveGameType, validate(schemas.stats), requireChildAccess('params.childId'), async (req, res) => {
   try {
     const { childId } = req.params;
-    const games = await GameSession.find({ childId, gameType: 'memory', status: 'completed' });
-
-    if (games.length === 0) {
-      return res.json({
-        success: true,
-        stats: {
-          averageScore: 0,
-          averageAccuracy: 0,
-          averageReactionTime: 0,
-          totalGames: 0,
-          bestScore: 0,
-        },
-      });
+    const [completed, norms, abandoned] = await Promise.all([
+      GameSession.find({ childId, gameType: req.game.type, status: 'completed' }).sort({ createdAt: -1 }),
+      GameNorm.find({ gameType: req.game.type }).lean(),
+      GameSession.countDocuments({ childId, gameType: req.game.type, status: 'abandoned' })
+    ]);
+
+    const stats = games.summarizeStats(completed, req.game);
+    // Share of finished sessions (completed or abandoned) that were abandoned
+    stats.abandonedGames = abandoned;
+    stats.abandonmentRate = abandoned > 0 ? Math.round((abandoned / (abandoned + completed.length)) * 100) : 0;
+    // Age-adjusted percentiles and z-scores against the imported norms
+    stats.norms = compareToNorms(completed, norms, req.child.dob, req.query.flagBelow ? { flagBelow: req.query.flagBelow } : undefined);
+
+    res.json({ success: true, stats });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Recommended difficulty and parameters for the child's next session
+router.get('/:gameType/next-config/:childId', requireAuth, resolveGameType, validate(schemas.nextConfig), requireChildAccess('params.childId'), async (req, res) => {
+  try {
+    const recommendation = recommendConfig(req.game, await recentCompleted(req.params.childId, req.game.type));
+    res.json({ success: true, gameType: req.game.type, ...recommendation });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Client clocks drift; telemetry further than this past the server's now is rejected
+const TELEMETRY_CLOCK_SKEW_MS = 60 * 1000;
+
+// Store a batch of raw telemetry events (pointer positions, spawns, hits, misses...)
+router.post('/:gameType/telemetry', requireAuth, resolveGameType, validate(schemas.telemetry), requireChildAccess('body.sessionId', GameSession), async (req, res) => {
+  try {
+    const session = await GameSession.findById(req.body.sessionId);
+    if (session.gameType !== req.game.type) {
+      return sendError(res, 400, `Session is a ${session.gameType} game, not ${req.game.type}`);
+    }
+    if (isIdle(session)) await abandonSession(session);
+    // Completed sessions still accept telemetry so the client can flush its buffer after the last move
+    if (session.status === 'abandoned') {
+      return sendError(res, 409, 'Session is already abandoned');
+    }
+
+    const start = session.createdAt.getTime();
+    const latest = Date.now() + TELEMETRY_CLOCK_SKEW_MS;
+    const details = [];
+    req.body.events.forEach((e, idx) => {
+      if (start + e.t > latest) details.push({ field: `body.events[${idx}].t`, message: 'is later than the current time' });
+    });
+    if (details.length > 0) {
+      return sendError(res, 400, 'Invalid request', { code: 'VALIDATION_ERROR', details });
     }
 
-    const stats = {
-      averageScore: Math.round(games.reduce((sum, g) => sum + g.score, 0) / games.length),
-      averageAccuracy: Math.round(games.reduce((sum, g) => sum + g.accuracy, 0) / games.length),
-      averageReactionTime: Math.round(games.reduce((sum, g) => sum + g.reactionTime, 0) / games.length),
-      averageConsistency: Math.round(games.reduce((sum, g) => sum + g.consistency, 0) / games.length),
-      totalGames: games.length,
-      bestScore: Math.max(...games.map((g) => g.score)),
-      improvementTrend: calculateTrend(games),
-    };
+    const total = await storeTelemetry(session, req.body.events);
+    res.json({ success: true, stored: req.body.events.length, total });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
 
-    res.json({ success: true, stats });
+// Ordered event stream of a session for visual playback: client telemetry merged with the moves the game recorded
+router.get('/sessions/:sessionId/replay', requireAuth, validate(schemas.replay), requireChildAccess('params.sessionId', GameSession), async (req, res) => {
+  try {
+    const session = await GameSession.findById(req.params.sessionId);
+    const telemetry = await GameTelemetry.find({ session: session._id }).sort({ at: 1, seq: 1 }).lean();
+
+    const start = session.createdAt.getTime();
+    const stream = [
+      ...telemetry.map(e => ({ t: e.at.getTime() - start, source: 'client', type: e.type, x: e.x, y: e.y, data: e.data })),
+      ...session.events.map(e => ({ t: new Date(e.at).getTime() - start, source: 'game', type: e.kind, correct: e.correct, data: e.data })),
+    ].sort((a, b) => a.t - b.t); // stable: ties keep telemetry seq order, then game events
+
+    res.json({
+      success: true,
+      sessionId: session._id,
+      gameType: session.gameType,
+      difficulty: session.difficulty,
+      status: session.status,
+      startedAt: session.createdAt,
+      events: stream,
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleError(res, error);
   }
 });
 
-function calculateTrend(games) {
-  if (games.length < 2) return 0;
-  const recent = games.slice(0, Math.min(5, games.length));
-  const older = games.slice(Math.min(5, games.length), Math.min(10, games.length));
+// Continue an interrupted session within the idle window
+router.post('/:sessionId/resume', requireAuth, validate(schemas.resume), requireChildAccess('params.sessionId', GameSession), async (req, res) => {
+  try {
+    const session = await GameSession.findById(req.params.sessionId);
+    if (isIdle(session)) await abandonSession(session);
+    if (session.status !== 'in-progress') {
+      const reason = session.status === 'abandoned' ? ` after ${idleMinutes()} minutes without activity` : '';
+      return sendError(res, 409, `Session is already ${session.status}${reason}`);
+    }
 
-  if (older.length === 0) return 0;
+    const definition = games.getGameType(session.gameType);
+    const extra = definition && definition.resume ? definition.resume(session) : {};
+    // Resuming counts as activity: saving bumps updatedAt, so the idle window starts again
+    session.markModified('state');
+    await session.save();
 
-  const recentAvg = recent.reduce((sum, g) => sum + g.score, 0) / recent.length;
-  const olderAvg = older.reduce((sum, g) => sum + g.score, 0) / older.length;
+    res.json({
+      success: true,
+      sessionId: session._id,
+      gameType: session.gameType,
+      difficulty: session.difficulty,
+      moves: session.moves,
+      accuracy: session.accuracy,
+      idleExpiresAt: idleExpiresAt(session),
+      ...extra,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
 
-  return Math.round(((recentAvg - olderAvg) / olderAvg) * 100);
-}
+// Per-game names for the event endpoint, e.g. /memory/flip and /hand-eye/hit
+router.post('/:gameType/:eventAlias', requireAuth, resolveGameType, (req, res, next) => {
+  if (!(req.game.eventAliases || []).includes(req.params.eventAlias)) {
+    return sendError(res, 404, `Unknown ${req.game.type} action: ${req.params.eventAlias}`);
+  }
+  next();
+}, validate(schemas.event), validateBody('eventSchema'), requireChildAccess('body.sessionId', GameSession), recordEvent);
 
 module.exports = router;
@@ -38,10 +38,7 @@ router.get('/status', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -55,7 +52,8 @@ router.post('/test', requireAuth, async (req, res) => {
   }
 
   try {
-    // Sample assessment data for testing
+    // Sample assessment data for testing. Stored answers are keyed by questionId;
+    // the LLM gets them keyed by question text (see answersByText in utils/questions.js)
     const sampleData = {
       type: 'MCHAT',
       answers: {
@@ -103,10 +101,7 @@ router.post('/test', requireAuth, async (req, res) => {
 
   } catch (error) {
     console.error('[LLM Test] Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
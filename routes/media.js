@@ -1,9 +1,11 @@
 const express = require('express');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
-const { requireAuth } = require('../middleware/auth');
-const mongoose = require('mongoose');
+const { requireAuth, requireChildAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/media');
 const streamifier = require('streamifier');
+const Media = require('../models/Media');
 
 const router = express.Router();
 
@@ -19,17 +21,9 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-const MediaSchema = new mongoose.Schema({
-  childId: { type: mongoose.Schema.Types.ObjectId, ref: 'Child', required: true },
-  fileUrl: { type: String, required: true },
-  fileType: { type: String },
-  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  createdAt: { type: Date, default: Date.now }
-});
-const Media = mongoose.model('Media', MediaSchema);
-
 // POST /api/media/upload
-router.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
+// childId arrives in the multipart body, so the access check runs after multer
+router.post('/upload', requireAuth, upload.single('file'), validate(schemas.upload), requireChildAccess('body.childId'), async (req, res) => {
   try {
     const { childId, fileType } = req.body;
     
@@ -65,7 +59,7 @@ router.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
 });
 
 // DELETE /api/media/:mediaId
-router.delete('/:mediaId', requireAuth, async (req, res) => {
+router.delete('/:mediaId', requireAuth, validate(schemas.byMedia), requireChildAccess('params.mediaId', Media), async (req, res) => {
   try {
     const media = await Media.findById(req.params.mediaId);
     if (!media) return res.status(404).json({ error: 'File not found' });
@@ -80,7 +74,7 @@ router.delete('/:mediaId', requireAuth, async (req, res) => {
 });
 
 // GET /api/media/:childId  (list uploads for a child)
-router.get('/:childId', requireAuth, async (req, res) => {
+router.get('/:childId', requireAuth, validate(schemas.byChild), requireChildAccess('params.childId'), async (req, res) => {
   try {
     const items = await Media.find({ childId: req.params.childId }).sort({ createdAt: -1 });
     res.json(items);
@@ -2,15 +2,17 @@ const express = require('express');
 const router = express.Router();
 const Assessment = require('../models/Assessment');
 const Report = require('../models/Report');
-const Child = require('../models/Child');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireChildAccess, blockUnverifiedDoctors } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reports');
 const { analyzeProgressWithLocalLLM } = require('../utils/local-llm-service');
+const { answersByText, compareAnswers } = require('../utils/questions');
 
 /**
  * POST /api/reports/generate-progress
  * Generate progress report comparing all attempts
  */
-router.post('/generate-progress', requireAuth, async (req, res) => {
+router.post('/generate-progress', requireAuth, blockUnverifiedDoctors, validate(schemas.generateProgress), requireChildAccess('body.childId'), async (req, res) => {
   const { childId, compareAllAttempts } = req.body;
 
   try {
@@ -18,6 +20,7 @@ router.post('/generate-progress', requireAuth, async (req, res) => {
 
     // Fetch all assessments for this child
     const assessments = await Assessment.find({ childId })
+      .completed()
       .populate('questionnaireId')
       .sort({ attemptNumber: 1, createdAt: 1 });
 
@@ -33,11 +36,7 @@ router.post('/generate-progress', requireAuth, async (req, res) => {
       });
     }
 
-    // Fetch child data
-    const child = await Child.findById(childId);
-    if (!child) {
-      return res.status(404).json({ error: 'Child not found' });
-    }
+    const child = req.child;
 
     // Group assessments by attempt number
     const attemptGroups = {};
@@ -65,15 +64,16 @@ router.post('/generate-progress', requireAuth, async (req, res) => {
       totalAttempts: uniqueAttempts.size,
       attemptGroups: Object.entries(attemptGroups).map(([attemptNum, assessmentsInAttempt]) => ({
         attemptNumber: Number(attemptNum),
-        date: assessmentsInAttempt[0].createdAt,
+        date: assessmentsInAttempt[0].completedAt || assessmentsInAttempt[0].createdAt,
         assessments: assessmentsInAttempt.map(a => ({
           type: a.type,
           score: a.score,
           risk: a.risk,
-          answers: a.answers,
+          answers: answersByText(a.answers, a.questionnaireId),
           questionnaireName: a.questionnaireId?.name || a.type
         }))
-      }))
+      })),
+      itemChanges: buildItemChanges(assessments)
     };
 
     console.log('[Progress Report] Analyzing progress with LLM...');
@@ -117,11 +117,36 @@ router.post('/generate-progress', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Helper: Per questionnaire, the items answered differently in the latest
+ * attempt than in the first, matched by questionId so rewording doesn't matter
+ */
+function buildItemChanges(assessments) {
+  const byQuestionnaire = {};
+  assessments.forEach((a) => {
+    const key = (a.questionnaireId?._id || a.questionnaireId || a.type).toString();
+    (byQuestionnaire[key] = byQuestionnaire[key] || []).push(a);
+  });
+
+  return Object.values(byQuestionnaire)
+    .filter(list => list.length > 1)
+    .map((list) => {
+      const first = list[0];
+      const last = list[list.length - 1];
+      return {
+        questionnaireName: last.questionnaireId?.name || last.type,
+        fromAttempt: first.attemptNumber || 1,
+        toAttempt: last.attemptNumber || 1,
+        changes: compareAnswers(first.answers, last.answers, last.questionnaireId)
+      };
+    });
+}
+
 /**
  * Helper: Format progress report text
  */
 function formatProgressReport(progressData, analysis) {
-  const { childInfo, totalAttempts, attemptGroups } = progressData;
+  const { childInfo, totalAttempts, attemptGroups, itemChanges = [] } = progressData;
   
   let text = `AUTISM SCREENING PROGRESS REPORT
 ${'='.repeat(70)}
@@ -155,6 +180,20 @@ Assessments Completed: ${attempt.assessments.length}
     });
   });
 
+  if (itemChanges.some(c => c.changes.length > 0)) {
+    text += `
+${'='.repeat(70)}
+
+ITEM-LEVEL CHANGES (first vs latest attempt):
+`;
+    itemChanges.filter(c => c.changes.length > 0).forEach((c) => {
+      text += `\n${c.questionnaireName} (attempt ${c.fromAttempt} → ${c.toAttempt}):\n`;
+      c.changes.forEach((change) => {
+        text += `  • ${change.question}: ${change.from ?? '-'} → ${change.to ?? '-'}\n`;
+      });
+    });
+  }
+
   text += `
 ${'='.repeat(70)}
 
@@ -1,15 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const Questionnaire = require('../models/Questionnaire');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, requireAdmin, requireChildAccess } = require('../middleware/auth');
+const { validate, checkObject } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../schemas/questionnaires');
+const { ageInMonths, checkAgeEligibility } = require('../utils/age');
+const QuestionnaireVersion = require('../models/QuestionnaireVersion');
+const {
+  contentDiffers,
+  saveVersion,
+  ensureCurrentVersion,
+  loadVersion,
+  diffVersions
+} = require('../utils/questionnaire-versions');
+const { resolveLocale, localizeQuestionnaire } = require('../utils/i18n');
+const { carryQuestionIds } = require('../utils/questions');
 const multer = require('multer');
 const { parse } = require('csv-parse');
 const upload = multer({ storage: multer.memoryStorage() });
 
 // POST /api/questionnaires/create - Create new questionnaire (Admin only)
-router.post('/create', requireAuth, requireAdmin, async (req, res) => {
+router.post('/create', requireAuth, requireAdmin, validate(schemas.create), async (req, res) => {
   try {
-    const { name, fullName, description, questions, answerOptions, scoringRules, scoringInfo, duration, ageRange } = req.body;
+    const { name, fullName, description, questions, answerOptions, scoringRules, scoringInfo, defaultLocale, translations, duration, ageRange, ageRangeMonths, followUpEnabled, followUpScoringRules } = req.body;
     
     const questionnaire = new Questionnaire({
       name,
@@ -19,13 +33,19 @@ router.post('/create', requireAuth, requireAdmin, async (req, res) => {
       answerOptions: answerOptions || ["yes", "no", "sometimes"],
       scoringRules,
       scoringInfo,
+      defaultLocale,
+      translations,
       duration,
       ageRange,
+      ageRangeMonths,
+      followUpEnabled: !!followUpEnabled,
+      followUpScoringRules: Array.isArray(followUpScoringRules) ? followUpScoringRules : [],
       isActive: true,
       createdBy: req.user.id
     });
 
     await questionnaire.save();
+    await saveVersion(questionnaire, req.user.id, 'Initial version');
     res.json({ message: 'Questionnaire created successfully', questionnaire });
   } catch (err) {
     console.error('[Questionnaire] Create error:', err);
@@ -41,39 +61,65 @@ router.post('/bulk', requireAuth, requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Provide an array of questionnaires in request body (or { items: [...] })' });
     }
 
-    // Normalize and validate minimal required fields
-    const docs = payload.map((q, idx) => {
-      if (!q || !q.name || !q.fullName || !Array.isArray(q.questions)) {
-        throw new Error(`Invalid questionnaire at index ${idx}: requires name, fullName, questions[]`);
-      }
+    const details = [];
+    payload.forEach((q, idx) => {
+      if (!q || typeof q !== 'object') details.push({ field: `items[${idx}]`, message: 'must be an object' });
+      else checkObject(q, schemas.bulkItem, `items[${idx}].`, details);
+    });
+    if (details.length > 0) {
+      return sendError(res, 400, 'Invalid questionnaires', { code: 'VALIDATION_ERROR', details });
+    }
+
+    // Normalize fields
+    const docs = payload.map((q) => {
       return {
         name: q.name,
         fullName: q.fullName,
         description: q.description || '',
         questions: q.questions.map((qq, qi) => ({
+          questionId: qq.questionId,
           text: qq.text,
-          order: typeof qq.order === 'number' ? qq.order : qi
+          translations: qq.translations,
+          order: typeof qq.order === 'number' ? qq.order : qi,
+          optionScores: qq.optionScores,
+          reverseScored: !!qq.reverseScored,
+          critical: !!qq.critical,
+          domain: qq.domain,
+          subscale: qq.subscale,
+          followUpPrompt: qq.followUpPrompt
         })),
         answerOptions: Array.isArray(q.answerOptions) && q.answerOptions.length > 0 ? q.answerOptions : ["yes", "no", "sometimes"],
         scoringRules: Array.isArray(q.scoringRules) ? q.scoringRules : [],
         scoringInfo: q.scoringInfo || '',
+        defaultLocale: q.defaultLocale || 'en',
+        translations: q.translations,
         duration: q.duration || '',
         ageRange: q.ageRange || '',
+        ageRangeMonths: q.ageRangeMonths,
+        followUpEnabled: !!q.followUpEnabled,
+        followUpScoringRules: Array.isArray(q.followUpScoringRules) ? q.followUpScoringRules : [],
         isActive: q.isActive !== undefined ? q.isActive : true,
         createdBy: req.user.id
       };
     });
 
     const result = await Questionnaire.insertMany(docs, { ordered: false });
+    await Promise.all(result.map(q => saveVersion(q, req.user.id, 'Initial version')));
     res.json({ message: 'Bulk import completed', insertedCount: result.length });
   } catch (err) {
     console.error('[Questionnaire] Bulk import error:', err);
     // If some docs failed but others were inserted, provide partial success details when possible
     if (err && err.writeErrors) {
-      const inserted = (err.result && err.result.result && err.result.result.nInserted) || 0;
+      // The questionnaires that did insert still get their version 1 snapshot
+      const insertedDocs = err.insertedDocs || [];
+      try {
+        await Promise.all(insertedDocs.map(q => saveVersion(q, req.user.id, 'Initial version')));
+      } catch (versionErr) {
+        console.error('[Questionnaire] Error saving versions after partial bulk import:', versionErr);
+      }
       return res.status(207).json({
         message: 'Bulk import partially completed',
-        insertedCount: inserted,
+        insertedCount: insertedDocs.length,
         error: 'Some records failed to insert',
       });
     }
@@ -83,7 +129,7 @@ router.post('/bulk', requireAuth, requireAdmin, async (req, res) => {
 
 // POST /api/questionnaires/import-csv (Admin only)
 // multipart/form-data: file, name, fullName, duration, ageRange, isActive?, questionColumn, optionColumns[]
-router.post('/import-csv', requireAuth, requireAdmin, upload.single('file'), async (req, res) => {
+router.post('/import-csv', requireAuth, requireAdmin, upload.single('file'), validate(schemas.importCsv), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'CSV file is required (field name: file)' });
 
@@ -98,10 +144,6 @@ router.post('/import-csv', requireAuth, requireAdmin, upload.single('file'), asy
       optionColumns // comma-separated or array
     } = req.body || {};
 
-    if (!name || !fullName) {
-      return res.status(400).json({ error: 'name and fullName are required' });
-    }
-
     const optCols = Array.isArray(optionColumns)
       ? optionColumns
       : (typeof optionColumns === 'string' && optionColumns.length > 0
@@ -191,6 +233,7 @@ router.post('/import-csv', requireAuth, requireAdmin, upload.single('file'), asy
     });
 
     await doc.save();
+    await saveVersion(doc, req.user.id, 'Imported from CSV');
     res.json({ message: 'Questionnaire imported from CSV', questionnaire: doc, questionCount: questions.length });
   } catch (err) {
     console.error('[Questionnaire] CSV import error:', err);
@@ -199,18 +242,43 @@ router.post('/import-csv', requireAuth, requireAdmin, upload.single('file'), asy
 });
 
 // GET /api/questionnaires/active - Get all active questionnaires (for caretakers)
-router.get('/active', requireAuth, async (req, res) => {
+// Text is localized from ?lang= or Accept-Language, per questionnaire
+router.get('/active', requireAuth, validate(schemas.active), async (req, res) => {
   try {
     const questionnaires = await Questionnaire.find({ isActive: true })
       .select('-createdBy -__v')
       .sort({ createdAt: -1 });
-    res.json(questionnaires);
+    res.set('Vary', 'Accept-Language');
+    res.json(questionnaires.map(q => localizeQuestionnaire(q, resolveLocale(req, q))));
   } catch (err) {
     console.error('[Questionnaire] Fetch active error:', err);
     res.status(500).json({ error: 'Error fetching questionnaires' });
   }
 });
 
+// GET /api/questionnaires/recommended/:childId - Active questionnaires suited to the child's age
+router.get('/recommended/:childId', requireAuth, validate(schemas.recommended), requireChildAccess('params.childId'), async (req, res) => {
+  try {
+    const childAgeMonths = ageInMonths(req.child.dob);
+    const questionnaires = await Questionnaire.find({ isActive: true })
+      .select('-createdBy -__v')
+      .sort({ createdAt: -1 });
+
+    const recommended = [];
+    const outOfRange = [];
+    questionnaires.forEach((q) => {
+      const { eligible, minMonths, maxMonths } = checkAgeEligibility(childAgeMonths, q);
+      const entry = { ...localizeQuestionnaire(q, resolveLocale(req, q)), ageRangeMonths: { min: minMonths, max: maxMonths } };
+      (eligible ? recommended : outOfRange).push(entry);
+    });
+
+    res.json({ childId: req.child._id, childAgeMonths, recommended, outOfRange });
+  } catch (err) {
+    console.error('[Questionnaire] Fetch recommended error:', err);
+    res.status(500).json({ error: 'Error fetching recommended questionnaires' });
+  }
+});
+
 // GET /api/questionnaires/all - Get all questionnaires (Admin only)
 router.get('/all', requireAuth, requireAdmin, async (req, res) => {
   try {
@@ -225,7 +293,7 @@ router.get('/all', requireAuth, requireAdmin, async (req, res) => {
 });
 
 // GET /api/questionnaires/:id - Get single questionnaire
-router.get('/:id', requireAuth, async (req, res) => {
+router.get('/:id', requireAuth, validate(schemas.byId), async (req, res) => {
   try {
     const questionnaire = await Questionnaire.findById(req.params.id);
     if (!questionnaire) {
@@ -237,56 +305,152 @@ router.get('/:id', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Questionnaire not available' });
     }
 
-    res.json(questionnaire);
+    const locale = resolveLocale(req, questionnaire);
+    res.set({ 'Content-Language': locale, Vary: 'Accept-Language' });
+    res.json(localizeQuestionnaire(questionnaire, locale));
   } catch (err) {
     console.error('[Questionnaire] Fetch single error:', err);
     res.status(500).json({ error: 'Error fetching questionnaire' });
   }
 });
 
+// GET /api/questionnaires/:id/versions - Version history
+router.get('/:id/versions', requireAuth, validate(schemas.byId), async (req, res) => {
+  try {
+    const questionnaire = await Questionnaire.findById(req.params.id);
+    if (!questionnaire) {
+      return res.status(404).json({ error: 'Questionnaire not found' });
+    }
+    await ensureCurrentVersion(questionnaire);
+
+    const versions = await QuestionnaireVersion.find({ questionnaireId: questionnaire._id })
+      .select('version name changeNote createdBy createdAt')
+      .populate('createdBy', 'name email')
+      .sort({ version: -1 });
+    res.json({ currentVersion: questionnaire.currentVersion, versions });
+  } catch (err) {
+    console.error('[Questionnaire] Fetch versions error:', err);
+    res.status(500).json({ error: 'Error fetching versions' });
+  }
+});
+
+// GET /api/questionnaires/:id/versions/:version - A single immutable version
+router.get('/:id/versions/:version', requireAuth, validate(schemas.version), async (req, res) => {
+  try {
+    const version = await loadVersion(req.params.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(version);
+  } catch (err) {
+    console.error('[Questionnaire] Fetch version error:', err);
+    res.status(500).json({ error: 'Error fetching version' });
+  }
+});
+
+// GET /api/questionnaires/:id/diff?from=1&to=2 - Compare two versions (to defaults to current)
+router.get('/:id/diff', requireAuth, validate(schemas.diff), async (req, res) => {
+  try {
+    const questionnaire = await Questionnaire.findById(req.params.id);
+    if (!questionnaire) {
+      return res.status(404).json({ error: 'Questionnaire not found' });
+    }
+    await ensureCurrentVersion(questionnaire);
+
+    const from = req.query.from;
+    const to = req.query.to !== undefined ? req.query.to : questionnaire.currentVersion;
+
+    const [fromVersion, toVersion] = await Promise.all([
+      loadVersion(questionnaire._id, from),
+      loadVersion(questionnaire._id, to)
+    ]);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ from, to, ...diffVersions(fromVersion, toVersion) });
+  } catch (err) {
+    console.error('[Questionnaire] Diff error:', err);
+    res.status(500).json({ error: 'Error comparing versions' });
+  }
+});
+
 // PUT /api/questionnaires/:id - Update questionnaire (Admin only)
-router.put('/:id', requireAuth, requireAdmin, async (req, res) => {
+// Content changes create a new immutable version; assessments keep the version they were taken on.
+router.put('/:id', requireAuth, requireAdmin, validate(schemas.update), async (req, res, next) => {
   try {
-    const { name, fullName, description, questions, answerOptions, scoringRules, scoringInfo, duration, ageRange, isActive } = req.body;
+    const { name, fullName, description, questions, answerOptions, scoringRules, scoringInfo, defaultLocale, translations, duration, ageRange, ageRangeMonths, isActive, followUpEnabled, followUpScoringRules, changeNote } = req.body;
     
     const questionnaire = await Questionnaire.findById(req.params.id);
     if (!questionnaire) {
       return res.status(404).json({ error: 'Questionnaire not found' });
     }
 
+    // Snapshot the content being replaced (questionnaires created before versioning have none yet)
+    const latest = await ensureCurrentVersion(questionnaire);
+
     // Update fields
     if (name !== undefined) questionnaire.name = name;
     if (fullName !== undefined) questionnaire.fullName = fullName;
     if (description !== undefined) questionnaire.description = description;
-    if (questions !== undefined) questionnaire.questions = questions;
+    // Edited questions keep their IDs even when the client doesn't send them back
+    if (questions !== undefined) questionnaire.questions = Array.isArray(questions) ? carryQuestionIds(questionnaire.questions, questions) : questions;
     if (answerOptions !== undefined) questionnaire.answerOptions = answerOptions;
     if (scoringRules !== undefined) questionnaire.scoringRules = scoringRules;
     if (scoringInfo !== undefined) questionnaire.scoringInfo = scoringInfo;
+    if (defaultLocale !== undefined) questionnaire.defaultLocale = defaultLocale;
+    if (translations !== undefined) questionnaire.translations = translations;
     if (duration !== undefined) questionnaire.duration = duration;
     if (ageRange !== undefined) questionnaire.ageRange = ageRange;
+    if (ageRangeMonths !== undefined) questionnaire.ageRangeMonths = ageRangeMonths;
     if (isActive !== undefined) questionnaire.isActive = isActive;
+    if (followUpEnabled !== undefined) questionnaire.followUpEnabled = followUpEnabled;
+    if (followUpScoringRules !== undefined) questionnaire.followUpScoringRules = followUpScoringRules;
+    if (isActive === true) questionnaire.archivedAt = undefined;
+
+    // Validation derives question IDs and ageRangeMonths, so compare afterwards.
+    // Re-saving the same content doesn't create a new version.
+    await questionnaire.validate();
+    if (contentDiffers(questionnaire, latest)) {
+      questionnaire.currentVersion = (questionnaire.currentVersion || 1) + 1;
+      // Version first: of two concurrent edits only one gets the next number, before either moves the head
+      try {
+        await saveVersion(questionnaire, req.user.id, changeNote);
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        return res.status(409).json({ error: 'Questionnaire was changed by another request; reload it and try again' });
+      }
+    }
 
     await questionnaire.save();
+
     res.json({ message: 'Questionnaire updated successfully', questionnaire });
   } catch (err) {
+    // Invalid edits (duplicate questionId, missing text, ...) are 400s with details from errorHandler
+    if (err.name === 'ValidationError' || err.name === 'CastError') return next(err);
     console.error('[Questionnaire] Update error:', err);
     res.status(500).json({ error: 'Error updating questionnaire' });
   }
 });
 
-// DELETE /api/questionnaires/:id - Delete questionnaire (Admin only)
-router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
+// DELETE /api/questionnaires/:id - Archive questionnaire (Admin only)
+// Past assessments still reference it, so it is hidden rather than removed.
+// PUT { isActive: true } restores it.
+router.delete('/:id', requireAuth, requireAdmin, validate(schemas.byId), async (req, res) => {
   try {
     const questionnaire = await Questionnaire.findById(req.params.id);
     if (!questionnaire) {
       return res.status(404).json({ error: 'Questionnaire not found' });
     }
 
-    await Questionnaire.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Questionnaire deleted successfully' });
+    await ensureCurrentVersion(questionnaire);
+    questionnaire.isActive = false;
+    questionnaire.archivedAt = new Date();
+    await questionnaire.save();
+    res.json({ message: 'Questionnaire archived successfully', questionnaire });
   } catch (err) {
-    console.error('[Questionnaire] Delete error:', err);
-    res.status(500).json({ error: 'Error deleting questionnaire' });
+    console.error('[Questionnaire] Archive error:', err);
+    res.status(500).json({ error: 'Error archiving questionnaire' });
   }
 });
 
@@ -2,21 +2,25 @@ const express = require('express');
 const router = express.Router();
 const Assessment = require('../models/Assessment');
 const Report = require('../models/Report');
-const Child = require('../models/Child');
 const Questionnaire = require('../models/Questionnaire');
-const { requireAuth } = require('../middleware/auth');
+const GameAssessment = require('../models/GameAssessment');
+const { requireAuth, requireChildAccess, blockUnverifiedDoctors } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reports');
 const { analyzeAssessmentWithLocalLLM, generateMedicalReport } = require('../utils/local-llm-service');
+const { answersByText } = require('../utils/questions');
+const { summarizeResults } = require('../utils/games/results');
 
 /**
  * POST /api/reports/generate-from-assessment
  * Generate AI-powered report from assessment data
  */
-router.post('/generate-from-assessment', requireAuth, async (req, res) => {
+router.post('/generate-from-assessment', requireAuth, blockUnverifiedDoctors, validate(schemas.generateFromAssessment), requireChildAccess('body.assessmentId', Assessment), async (req, res) => {
   if (req.user.role !== 'doctor') {
     return res.status(403).json({ error: 'Only doctors can generate reports' });
   }
 
-  const { assessmentId, childId, additionalNotes } = req.body;
+  const { assessmentId, additionalNotes } = req.body;
 
   try {
     // Fetch assessment data
@@ -28,12 +32,8 @@ router.post('/generate-from-assessment', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Assessment not found' });
     }
 
-    // Fetch child data
-    const child = await Child.findById(childId || assessment.childId);
-    
-    if (!child) {
-      return res.status(404).json({ error: 'Child not found' });
-    }
+    // The assessment's child, resolved and access-checked by requireChildAccess
+    const child = req.child;
 
     // Calculate child age in months
     const childAge = child.dob 
@@ -43,7 +43,7 @@ router.post('/generate-from-assessment', requireAuth, async (req, res) => {
     // Prepare assessment data
     const assessmentData = {
       type: assessment.type || assessment.questionnaireId?.type || 'MCHAT',
-      answers: assessment.answers,
+      answers: answersByText(assessment.answers, assessment.questionnaireId),
       score: assessment.score,
       risk: assessment.risk,
       childAge: childAge,
@@ -117,17 +117,13 @@ router.post('/generate-from-assessment', requireAuth, async (req, res) => {
  * POST /api/reports/generate-combined
  * Generate report for specific attempt or all assessments
  */
-router.post('/generate-combined', requireAuth, async (req, res) => {
+router.post('/generate-combined', requireAuth, blockUnverifiedDoctors, validate(schemas.generateCombined), requireChildAccess('body.childId'), async (req, res) => {
   const { childId, attemptNumber } = req.body;
 
   try {
     console.log('[Report Generator] Generating combined report for child:', childId, 'attempt:', attemptNumber);
 
-    // Fetch child data
-    const child = await Child.findById(childId);
-    if (!child) {
-      return res.status(404).json({ error: 'Child not found' });
-    }
+    const child = req.child;
 
     // Fetch assessments - filter by attemptNumber if provided
     let query = { childId };
@@ -136,6 +132,7 @@ router.post('/generate-combined', requireAuth, async (req, res) => {
     }
     
     const assessments = await Assessment.find(query)
+      .completed()
       .populate('questionnaireId')
       .sort({ createdAt: 1 });
 
@@ -143,6 +140,9 @@ router.post('/generate-combined', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'No assessments found' });
     }
 
+    // Game results played alongside the same attempt (or all of them)
+    const gameResults = await GameAssessment.find(query).sort({ completedAt: -1 });
+
     // Calculate child age
     const childAge = child.dob 
       ? Math.floor((Date.now() - new Date(child.dob).getTime()) / (1000 * 60 * 60 * 24 * 30.44))
@@ -161,10 +161,11 @@ router.post('/generate-combined', requireAuth, async (req, res) => {
         type: a.type,
         score: a.score,
         risk: a.risk,
-        answers: a.answers,
+        answers: answersByText(a.answers, a.questionnaireId),
         questionnaireName: a.questionnaireId?.name || a.type,
         createdAt: a.createdAt
-      }))
+      })),
+      games: Object.values(summarizeResults(gameResults)).map(({ sessions, ...game }) => game)
     };
 
     console.log('[Report Generator] Analyzing combined assessments with LLM...');
@@ -184,6 +185,7 @@ router.post('/generate-combined', requireAuth, async (req, res) => {
         reportType: attemptNumber ? 'attempt-specific' : 'combined',
         attemptNumber: attemptNumber,
         totalAssessments: assessments.length,
+        totalGameSessions: gameResults.length,
         generatedBy: 'AI Combined Analyzer',
         analysisDate: new Date()
       }
@@ -212,7 +214,7 @@ router.post('/generate-combined', requireAuth, async (req, res) => {
  * Generate combined analysis for multiple assessments
  */
 async function generateCombinedAnalysis(combinedData) {
-  const { childInfo, attemptNumber, assessments } = combinedData;
+  const { childInfo, attemptNumber, assessments, games } = combinedData;
   
   // Calculate overall metrics
   const totalScore = assessments.reduce((sum, a) => sum + a.score, 0);
@@ -237,6 +239,9 @@ async function generateCombinedAnalysis(combinedData) {
   const keyFindings = assessments.map(a => 
     `${a.questionnaireName}: Score ${a.score}, Risk ${a.risk}`
   );
+  games.forEach(g => {
+    keyFindings.push(`${g.label}: average score ${g.averageScore}/100 over ${g.sessionCount} session(s), latest ${g.latestScore}`);
+  });
   
   // Generate recommendations
   const recommendations = [];
@@ -268,7 +273,7 @@ async function generateCombinedAnalysis(combinedData) {
  * Format combined report text
  */
 function formatCombinedReportText(combinedData, analysis) {
-  const { childInfo, attemptNumber, assessments } = combinedData;
+  const { childInfo, attemptNumber, assessments, games } = combinedData;
   
   const attemptText = attemptNumber ? `ATTEMPT ${attemptNumber} ` : 'COMPREHENSIVE ';
   
@@ -297,12 +302,28 @@ DETAILED RESULTS:
   assessments.forEach((assessment, index) => {
     text += `
 ${index + 1}. ${assessment.questionnaireName}
-   - Completed: ${new Date(assessment.createdAt).toLocaleDateString()}
+   - Completed: ${new Date(assessment.completedAt || assessment.createdAt).toLocaleDateString()}
    - Score: ${assessment.score}
    - Risk Level: ${assessment.risk}
 `;
   });
 
+  if (games.length > 0) {
+    text += `
+${'='.repeat(70)}
+
+GAME PERFORMANCE:
+`;
+    games.forEach((game) => {
+      text += `
+- ${game.label}
+   - Sessions: ${game.sessionCount}
+   - Average Score: ${game.averageScore}/100 (best ${game.bestScore}, latest ${game.latestScore})
+   - Trend: ${game.improvementTrend > 0 ? '+' : ''}${game.improvementTrend}%
+`;
+    });
+  }
+
   text += `
 ${'='.repeat(70)}
 
@@ -341,7 +362,7 @@ Generated By: ${analysis.generatedBy}
  * POST /api/reports/add
  * Add manual report (existing functionality)
  */
-router.post('/add', requireAuth, async (req, res) => {
+router.post('/add', requireAuth, blockUnverifiedDoctors, validate(schemas.add), requireChildAccess('body.childId'), async (req, res) => {
   console.log('[Reports-Enhanced] Add report request from user:', req.user.id, 'role:', req.user.role);
   if (req.user.role !== 'doctor') {
     console.log('[Reports-Enhanced] Access denied - not a doctor');
@@ -373,7 +394,7 @@ router.post('/add', requireAuth, async (req, res) => {
  * GET /api/reports/assessment/:assessmentId
  * Get report for specific assessment
  */
-router.get('/assessment/:assessmentId', requireAuth, async (req, res) => {
+router.get('/assessment/:assessmentId', requireAuth, validate(schemas.byAssessment), requireChildAccess('params.assessmentId', Assessment), async (req, res) => {
   try {
     const report = await Report.findOne({ assessmentId: req.params.assessmentId })
       .populate('doctorId', 'name email')
@@ -393,7 +414,7 @@ router.get('/assessment/:assessmentId', requireAuth, async (req, res) => {
 /**
  * GET /api/reports/details/:reportId
  */
-router.get('/details/:reportId', requireAuth, async (req, res) => {
+router.get('/details/:reportId', requireAuth, validate(schemas.byReport), requireChildAccess('params.reportId', Report), async (req, res) => {
   try {
     const report = await Report.findById(req.params.reportId)
       .populate('doctorId', 'name email specialization')
@@ -414,7 +435,7 @@ router.get('/details/:reportId', requireAuth, async (req, res) => {
  * GET /api/reports/:childId
  * Get all reports for a child
  */
-router.get('/:childId', requireAuth, async (req, res) => {
+router.get('/:childId', requireAuth, validate(schemas.byChild), requireChildAccess('params.childId'), async (req, res) => {
   try {
     const reports = await Report.find({ childId: req.params.childId })
       .populate('doctorId', 'name email')
@@ -430,7 +451,7 @@ router.get('/:childId', requireAuth, async (req, res) => {
 /**
  * DELETE /api/reports/:reportId
  */
-router.delete('/:reportId', requireAuth, async (req, res) => {
+router.delete('/:reportId', requireAuth, validate(schemas.byReport), requireChildAccess('params.reportId', Report), async (req, res) => {
   try {
     const report = await Report.findById(req.params.reportId);
     
@@ -517,32 +538,17 @@ This report is confidential and intended for medical professionals and authorize
  * Generate comprehensive report from ALL assessments for a child
  * Accessible to both caretakers and doctors
  */
-router.post('/generate-combined', requireAuth, async (req, res) => {
+router.post('/generate-combined', requireAuth, blockUnverifiedDoctors, validate(schemas.generateCombined), requireChildAccess('body.childId'), async (req, res) => {
   const { childId } = req.body;
   console.log('[CombinedReport] Request for childId:', childId, 'by user:', req.user.id);
 
   try {
-    if (!childId) {
-      return res.status(400).json({ error: 'childId is required' });
-    }
-
-    // Fetch child
-    const child = await Child.findById(childId);
-    if (!child) {
-      return res.status(404).json({ error: 'Child not found' });
-    }
-
-    // Verify access (caretaker must own child, or be a doctor/admin)
-    const isCaretaker = child.caretakerId.toString() === req.user.id;
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isCaretaker && !isDoctor && !isAdmin) {
-      return res.status(403).json({ error: 'You do not have access to this child' });
-    }
+    // Child resolved and access-checked by requireChildAccess
+    const child = req.child;
 
     // Fetch ALL assessments for this child
     const assessments = await Assessment.find({ childId })
+      .completed()
       .populate('questionnaireId')
       .sort({ createdAt: 1 });
 
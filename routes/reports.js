@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const Report = require('../models/Report');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireChildAccess, blockUnverifiedDoctors } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reports');
 
 // POST /api/reports/add
-router.post('/add', requireAuth, async (req, res) => {
+router.post('/add', requireAuth, blockUnverifiedDoctors, validate(schemas.add), requireChildAccess('body.childId'), async (req, res) => {
   console.log('[Reports] Add report request from user:', req.user.id, 'role:', req.user.role);
   if (req.user.role !== 'doctor') {
     console.log('[Reports] Access denied - not a doctor');
@@ -26,12 +28,11 @@ router.post('/add', requireAuth, async (req, res) => {
 
 // GET /api/reports/details/:reportId
 // place details route before the param route to avoid shadowing
-router.get('/details/:reportId', requireAuth, async (req, res) => {
+router.get('/details/:reportId', requireAuth, validate(schemas.byReport), requireChildAccess('params.reportId', Report), async (req, res) => {
   try {
     const report = await Report.findById(req.params.reportId);
     if (!report) return res.status(404).json({ error: 'Report not found' });
 
-    // Allow doctors, caretakers (if related), and admins to view
     res.json(report);
   } catch (err) {
     console.error(err);
@@ -40,7 +41,7 @@ router.get('/details/:reportId', requireAuth, async (req, res) => {
 });
 
 // GET /api/reports/:childId
-router.get('/:childId', requireAuth, async (req, res) => {
+router.get('/:childId', requireAuth, validate(schemas.byChild), requireChildAccess('params.childId'), async (req, res) => {
   try {
     const reports = await Report.find({ childId: req.params.childId });
     res.json(reports);
@@ -51,7 +52,7 @@ router.get('/:childId', requireAuth, async (req, res) => {
 
 
 // DELETE /api/reports/:reportId
-router.delete('/:reportId', requireAuth, async (req, res) => {
+router.delete('/:reportId', requireAuth, validate(schemas.byReport), requireChildAccess('params.reportId', Report), async (req, res) => {
   try {
     const report = await Report.findById(req.params.reportId);
     if (!report) return res.status(404).json({ error: 'Report not found' });
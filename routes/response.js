@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/responses');
 const ResponseModel = require('../models/Response');
 const { evaluateRisk } = require('../utils/ml'); // our heuristic evaluator
 
 // POST /api/responses/submit
 // Accepts: { childName, childAgeMonths, answers: { q1: 0-3, q2: 0-3, ... }, meta: {...} }
-router.post('/submit', requireAuth, async (req, res) => {
+router.post('/submit', requireAuth, validate(schemas.submit), async (req, res) => {
   const { childName, childAgeMonths, answers, meta } = req.body;
-  if (!answers || typeof answers !== 'object') return res.status(400).json({ error: 'answers required' });
 
   try {
     // Run the evaluator
@@ -33,9 +34,8 @@ router.post('/submit', requireAuth, async (req, res) => {
 
 // Optionally anonymous submit (if you want to allow no account)
 // POST /api/responses/submit-anon
-router.post('/submit-anon', async (req, res) => {
+router.post('/submit-anon', validate(schemas.submit), async (req, res) => {
   const { childName, childAgeMonths, answers, meta } = req.body;
-  if (!answers || typeof answers !== 'object') return res.status(400).json({ error: 'answers required' });
 
   try {
     const prediction = evaluateRisk(answers);
@@ -56,7 +56,7 @@ router.post('/submit-anon', async (req, res) => {
 });
 
 // GET /api/responses/:id
-router.get('/:id', requireAuth, async (req, res) => {
+router.get('/:id', requireAuth, validate(schemas.byId), async (req, res) => {
   try {
     const doc = await ResponseModel.findById(req.params.id);
     if (!doc) return res.status(404).json({ error: 'Not found' });
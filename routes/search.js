@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/search');
 const Child = require('../models/Child');
 const User = require('../models/User');
 const Assessment = require('../models/Assessment');
 
 // GET /api/search/children?query=
-router.get('/children', requireAuth, async (req, res) => {
+router.get('/children', requireAuth, validate(schemas.children), async (req, res) => {
   try {
     const q = req.query.query || '';
     const children = await Child.find({ name: { $regex: q, $options: 'i' } })
@@ -17,8 +19,9 @@ router.get('/children', requireAuth, async (req, res) => {
     const childrenWithRisk = await Promise.all(
       children.map(async (c) => {
         const latestAssessment = await Assessment.findOne({ childId: c._id })
-          .sort({ createdAt: -1 })
-          .select('risk createdAt score');
+          .completed()
+          .sort({ completedAt: -1, createdAt: -1 })
+          .select('risk completedAt createdAt score');
 
         return {
           id: c._id,
@@ -26,7 +29,7 @@ router.get('/children', requireAuth, async (req, res) => {
           caretaker: c.caretakerId?.name,
           gender: c.gender,
           riskLevel: latestAssessment?.risk || 'Unknown',
-          lastAssessmentDate: latestAssessment?.createdAt || null,
+          lastAssessmentDate: latestAssessment?.completedAt || latestAssessment?.createdAt || null,
           lastAssessmentScore: latestAssessment?.score || null
         };
       })
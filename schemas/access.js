@@ -0,0 +1,17 @@
+const { id, email } = require('./common');
+
+module.exports = {
+  request: {
+    body: { childId: id, message: { type: 'string', maxLength: 1000 } }
+  },
+  respond: {
+    params: { requestId: id },
+    body: { status: { type: 'string', enum: ['approved', 'denied'], required: true } }
+  },
+  grant: {
+    body: { childId: id, doctorEmail: email }
+  },
+  revoke: {
+    body: { childId: id, doctorId: id }
+  }
+};
@@ -0,0 +1,14 @@
+const { id } = require('./common');
+
+module.exports = {
+  deleteUser: {
+    params: { userId: id }
+  },
+  listDoctorApplications: {
+    query: { status: { type: 'string', enum: ['pending', 'approved', 'rejected'] } }
+  },
+  reviewDoctorApplication: {
+    params: { applicationId: id },
+    body: { reason: { type: 'string', maxLength: 1000 } }
+  }
+};
@@ -0,0 +1,40 @@
+const { id, childIdParam } = require('./common');
+
+const assessmentIdParam = { assessmentId: id };
+
+module.exports = {
+  add: {
+    body: {
+      childId: id,
+      questionnaireId: id,
+      answers: { type: 'object', required: true },
+      locale: { type: 'string', maxLength: 35 },
+      overrideAgeCheck: { type: 'boolean' }
+    }
+  },
+  startDraft: {
+    body: {
+      childId: id,
+      questionnaireId: id,
+      locale: { type: 'string', maxLength: 35 },
+      overrideAgeCheck: { type: 'boolean' }
+    }
+  },
+  byChild: childIdParam,
+  byAssessment: { params: assessmentIdParam },
+  finalize: {
+    params: assessmentIdParam,
+    body: { overrideAgeCheck: { type: 'boolean' } }
+  },
+  saveDraftAnswers: {
+    params: assessmentIdParam,
+    body: { answers: { type: 'object', required: true } }
+  },
+  rescore: {
+    params: assessmentIdParam,
+    body: {
+      version: { type: 'integer', min: 1 },
+      save: { type: 'boolean' }
+    }
+  }
+};
@@ -0,0 +1,39 @@
+const { requiredString, email, password } = require('./common');
+
+module.exports = {
+  register: {
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      email,
+      password,
+      role: { type: 'string' } // anything but caretaker is refused by the handler with 403
+    }
+  },
+  registerDoctor: {
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      email,
+      password,
+      licenseNumber: requiredString,
+      issuingAuthority: requiredString,
+      specialization: { type: 'string' },
+      licenseExpiry: { type: 'date' },
+      documentUrl: { type: 'string' }
+    }
+  },
+  login: {
+    body: { email, password: requiredString }
+  },
+  refreshToken: {
+    body: { refreshToken: requiredString }
+  },
+  forgotPassword: {
+    body: { email }
+  },
+  resetPassword: {
+    body: { token: requiredString, password }
+  },
+  verifyEmail: {
+    body: { token: requiredString }
+  }
+};
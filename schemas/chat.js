@@ -0,0 +1,39 @@
+const { id, optionalId, childIdParam } = require('./common');
+
+module.exports = {
+  messages: {
+    ...childIdParam,
+    query: {
+      before: optionalId, // message id: page of older messages
+      after: optionalId, // message id: page of newer messages
+      limit: { type: 'integer', min: 1, max: 100 },
+      q: { type: 'string', minLength: 1, maxLength: 200 } // full-text search within the room
+    }
+  },
+  // Socket events (chatServer.js); checked with checkObject, field names are prefixed "payload."
+  socket: {
+    joinRoom: {
+      room: { type: 'string', required: true, maxLength: 100 }
+    },
+    chatMessage: {
+      room: { type: 'string', required: true, maxLength: 100 },
+      message: { type: 'string', required: true, minLength: 1, maxLength: 2000 }
+    },
+    typing: {
+      room: { type: 'string', required: true, maxLength: 100 },
+      typing: { type: 'boolean', required: true }
+    },
+    read: {
+      room: { type: 'string', required: true, maxLength: 100 },
+      // Last message read; omitted marks the whole room as read
+      messageId: { type: 'objectId' }
+    },
+    editMessage: {
+      messageId: id,
+      message: { type: 'string', required: true, minLength: 1, maxLength: 2000 }
+    },
+    deleteMessage: {
+      messageId: id
+    }
+  }
+};
@@ -0,0 +1,24 @@
+const { id, childIdParam } = require('./common');
+
+const childFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  dob: { type: 'date' },
+  gender: { type: 'string', enum: ['Male', 'Female', 'Other'] },
+  notes: { type: 'string', maxLength: 5000 },
+  medicalHistory: { type: 'string', maxLength: 5000 }
+};
+
+module.exports = {
+  add: {
+    body: {
+      ...childFields,
+      name: { ...childFields.name, required: true },
+      dob: { ...childFields.dob, required: true }
+    }
+  },
+  update: {
+    params: { childId: id },
+    body: childFields
+  },
+  byChild: childIdParam
+};
@@ -0,0 +1,15 @@
+/**
+ * Rule building blocks shared by the route schemas (see middleware/validate.js)
+ */
+
+const id = { type: 'objectId', required: true };
+const optionalId = { type: 'objectId' };
+const requiredString = { type: 'string', required: true, minLength: 1 };
+const email = { type: 'email', required: true, maxLength: 254 };
+const password = { type: 'string', required: true, minLength: 6, maxLength: 128 };
+const RISK_LEVELS = ['Low', 'Medium', 'Moderate', 'High'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const childIdParam = { params: { childId: id } };
+
+module.exports = { id, optionalId, requiredString, email, password, RISK_LEVELS, DIFFICULTIES, childIdParam };
@@ -0,0 +1,13 @@
+const { id } = require('./common');
+
+module.exports = {
+  byAssessment: { params: { assessmentId: id } },
+  answerItem: {
+    params: { followUpId: id, itemId: id },
+    body: {
+      result: { type: 'string', enum: ['pass', 'fail'], required: true },
+      notes: { type: 'string', maxLength: 2000 }
+    }
+  },
+  complete: { params: { followUpId: id } }
+};
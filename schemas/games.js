@@ -0,0 +1,72 @@
+const { id, optionalId, DIFFICULTIES, childIdParam } = require('./common');
+
+const sessionId = id;
+
+// Event and completion fields specific to a game type are declared by the
+// type itself (utils/games/<type>.js) and checked after these
+module.exports = {
+  start: {
+    body: {
+      childId: id,
+      difficulty: { type: 'string', enum: DIFFICULTIES },
+      // Replays the same generated content, e.g. for research protocols (admins only for hiddenState games)
+      seed: { type: 'integer', min: 0, max: 4294967295 },
+      // Overrides of the game type's adaptive parameters, e.g. { cards: 10 }; checked against the type's ranges
+      config: { type: 'object' },
+      // Let the server pick the difficulty and parameters from the child's recent sessions
+      adaptive: { type: 'boolean' }
+    }
+  },
+  event: {
+    body: { sessionId }
+  },
+  complete: {
+    // assessmentId: questionnaire assessment this game was played alongside
+    body: { sessionId, assessmentId: optionalId }
+  },
+  telemetry: {
+    body: {
+      sessionId,
+      events: {
+        type: 'array',
+        required: true,
+        minLength: 1,
+        maxLength: 500,
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', required: true, maxLength: 30, pattern: /^[a-z][\w-]*$/, patternMessage: 'must be a lowercase event name' },
+            t: { type: 'number', required: true, min: 0 }, // ms since the session started
+            x: { type: 'number' },
+            y: { type: 'number' },
+            data: { type: 'object' }
+          }
+        }
+      }
+    }
+  },
+  replay: {
+    params: { sessionId }
+  },
+  resume: {
+    params: { sessionId }
+  },
+  linkAssessment: {
+    params: { sessionId },
+    body: { assessmentId: { type: 'objectId', required: true, nullable: true } }
+  },
+  byChild: childIdParam,
+  nextConfig: childIdParam,
+  stats: {
+    ...childIdParam,
+    // Overrides GAME_NORM_FLAG_PERCENTILE for this request
+    query: { flagBelow: { type: 'number', min: 1, max: 99 } }
+  },
+  listNorms: {
+    query: { gameType: { type: 'string', maxLength: 50 }, metric: { type: 'string', maxLength: 50 } }
+  },
+  importNorms: {
+    body: { replace: { type: 'boolean' }, source: { type: 'string', maxLength: 200 } }
+  },
+  normById: { params: { id } }
+};
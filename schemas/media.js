@@ -0,0 +1,9 @@
+const { id, childIdParam } = require('./common');
+
+module.exports = {
+  upload: {
+    body: { childId: id, fileType: { type: 'string', maxLength: 100 } }
+  },
+  byMedia: { params: { mediaId: id } },
+  byChild: childIdParam
+};
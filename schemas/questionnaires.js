@@ -0,0 +1,91 @@
+const { id, requiredString, RISK_LEVELS, childIdParam } = require('./common');
+
+const scoringRule = {
+  type: 'object',
+  properties: {
+    minScore: { type: 'number', required: true },
+    maxScore: { type: 'number' },
+    riskLevel: { type: 'string', enum: RISK_LEVELS, required: true },
+    description: { type: 'string' }
+  }
+};
+
+const question = {
+  type: 'object',
+  properties: {
+    questionId: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,40}$/, patternMessage: 'may only contain letters, digits, _ and -' },
+    text: requiredString,
+    order: { type: 'number' },
+    translations: { type: 'object' },
+    optionScores: { type: 'object' },
+    reverseScored: { type: 'boolean' },
+    critical: { type: 'boolean' },
+    domain: { type: 'string' },
+    subscale: { type: 'string' },
+    followUpPrompt: { type: 'string' }
+  }
+};
+
+// Fields shared by create and update; create makes name, fullName and questions required
+const content = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  fullName: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string' },
+  questions: { type: 'array', items: question },
+  answerOptions: { type: 'array', items: { type: 'string' } },
+  scoringRules: { type: 'array', items: scoringRule },
+  scoringInfo: { type: 'string' },
+  defaultLocale: { type: 'string', maxLength: 35 },
+  translations: { type: 'object' },
+  duration: { type: 'string' },
+  ageRange: { type: 'string' },
+  ageRangeMonths: {
+    type: 'object',
+    properties: { min: { type: 'number', min: 0, nullable: true }, max: { type: 'number', min: 0, nullable: true } }
+  },
+  followUpEnabled: { type: 'boolean' },
+  followUpScoringRules: { type: 'array', items: scoringRule }
+};
+
+const create = {
+  ...content,
+  name: { ...content.name, required: true },
+  fullName: { ...content.fullName, required: true },
+  questions: { ...content.questions, required: true }
+};
+
+module.exports = {
+  create: { body: create },
+  // Applied to each entry of a bulk import
+  bulkItem: create,
+  importCsv: {
+    body: {
+      name: requiredString,
+      fullName: requiredString,
+      isActive: { type: 'boolean' }
+    }
+  },
+  active: {
+    query: { lang: { type: 'string', maxLength: 35 } }
+  },
+  recommended: childIdParam,
+  byId: { params: { id } },
+  version: {
+    params: { id, version: { type: 'integer', required: true, min: 1 } }
+  },
+  diff: {
+    params: { id },
+    query: {
+      from: { type: 'integer', required: true, min: 1 },
+      to: { type: 'integer', min: 1 }
+    }
+  },
+  update: {
+    params: { id },
+    body: {
+      ...content,
+      isActive: { type: 'boolean' },
+      changeNote: { type: 'string', maxLength: 500 }
+    }
+  }
+};
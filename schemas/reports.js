@@ -0,0 +1,24 @@
+const { id, optionalId, childIdParam } = require('./common');
+
+module.exports = {
+  generateFromAssessment: {
+    body: { assessmentId: id, additionalNotes: { type: 'string', maxLength: 5000 } }
+  },
+  generateCombined: {
+    body: { childId: id, attemptNumber: { type: 'integer', min: 1 } }
+  },
+  generateProgress: {
+    body: { childId: id, compareAllAttempts: { type: 'boolean' } }
+  },
+  add: {
+    body: {
+      childId: id,
+      text: { type: 'string' },
+      pdfUrl: { type: 'string', maxLength: 2048 },
+      assessmentId: optionalId
+    }
+  },
+  byAssessment: { params: { assessmentId: id } },
+  byReport: { params: { reportId: id } },
+  byChild: childIdParam
+};
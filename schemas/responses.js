@@ -0,0 +1,13 @@
+const { id } = require('./common');
+
+module.exports = {
+  submit: {
+    body: {
+      childName: { type: 'string', maxLength: 100 },
+      childAgeMonths: { type: 'number', min: 0, max: 240 },
+      answers: { type: 'object', required: true },
+      meta: { type: 'object' }
+    }
+  },
+  byId: { params: { id } }
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  children: {
+    query: { query: { type: 'string', maxLength: 100 } }
+  }
+};
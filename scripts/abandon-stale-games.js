@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/*
+Usage:
+  node scripts/abandon-stale-games.js
+
+Marks in-progress game sessions with no activity for GAME_SESSION_IDLE_MINUTES
+(default 30) as abandoned. The API server does this every few minutes when it
+runs as a long-lived process; schedule this script instead on serverless deploys.
+
+Reads MONGO_URI from the environment / .env.
+*/
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { idleMinutes, abandonStaleSessions } = require('../utils/games/abandonment');
+
+(async function main() {
+  if (!process.env.MONGO_URI) {
+    console.error('Error: MONGO_URI is not set');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const count = await abandonStaleSessions();
+  console.log(`[Games] Marked ${count} session(s) idle for over ${idleMinutes()} minutes as abandoned`);
+  await mongoose.disconnect();
+})().catch(async (err) => {
+  console.error('[Games] Failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/*
+Usage:
+  node scripts/backfill-game-assessments.js [--dry-run]
+
+Creates a GameAssessment for every completed GameSession that doesn't have one.
+Sessions completed before GameAssessment existed were never linked to anything
+(the old memory-game code pushed into a non-existent Assessment field), so the
+backfilled results are linked to the child only.
+
+Safe to run more than once. Reads MONGO_URI from the environment / .env.
+*/
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const GameSession = require('../models/Game');
+const GameAssessment = require('../models/GameAssessment');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async function main() {
+  if (!process.env.MONGO_URI) {
+    console.error('Error: MONGO_URI is not set');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`[Backfill] Connected${dryRun ? ' (dry run - nothing is written)' : ''}`);
+
+  const linked = new Set((await GameAssessment.distinct('gameSessionId')).map(String));
+  const sessions = await GameSession.find({ status: 'completed' });
+
+  let created = 0;
+  for (const session of sessions) {
+    if (linked.has(session._id.toString())) continue;
+    if (!dryRun) await GameAssessment.fromSession(session);
+    created++;
+  }
+
+  console.log('[Backfill] Completed sessions:', sessions.length);
+  console.log('[Backfill] Game assessments created:', created);
+  await mongoose.disconnect();
+})().catch(async (err) => {
+  console.error('[Backfill] Failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
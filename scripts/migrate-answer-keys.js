@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/*
+Usage:
+  node scripts/migrate-answer-keys.js [--dry-run]
+
+Rewrites assessment answers keyed by question text (or order) to questionId keys:
+  1. Gives every questionnaire's questions a questionId (q1..qN in array order)
+     and copies the IDs onto its stored versions, matching questions by text.
+  2. Re-keys each assessment's answers against the version it was taken on.
+  3. Re-keys follow-up items (FollowUp.items[].questionKey) the same way.
+
+Safe to run more than once - answers that are already keyed by ID are left alone.
+Reads MONGO_URI from the environment / .env.
+*/
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Questionnaire = require('../models/Questionnaire');
+const QuestionnaireVersion = require('../models/QuestionnaireVersion');
+const Assessment = require('../models/Assessment');
+const FollowUp = require('../models/FollowUp');
+const { assignQuestionIds, carryQuestionIds, buildAnswerKeyLookup, normalizeAnswers, questionKey } = require('../utils/questions');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateQuestionnaire(questionnaire, stats) {
+  if (questionnaire.questions.some(q => !q.questionId)) {
+    assignQuestionIds(questionnaire.questions);
+    if (!dryRun) await questionnaire.save();
+    stats.questionnaires++;
+  }
+
+  const versions = await QuestionnaireVersion.find({ questionnaireId: questionnaire._id });
+  const byVersion = new Map();
+  for (const version of versions) {
+    const questions = (version.questions || []).map(q => ({ ...q }));
+    if (questions.some(q => !q.questionId)) {
+      carryQuestionIds(questionnaire.questions, questions);
+      // Versions are immutable through the model; this is the one sanctioned rewrite
+      if (!dryRun) {
+        await QuestionnaireVersion.collection.updateOne({ _id: version._id }, { $set: { questions } });
+      }
+      stats.versions++;
+    }
+    byVersion.set(version.version, { ...version.toObject(), questions });
+  }
+  return byVersion;
+}
+
+async function migrateAssessments(questionnaire, byVersion, stats) {
+  const cursor = Assessment.find({ questionnaireId: questionnaire._id }).cursor();
+  for await (const assessment of cursor) {
+    const content = byVersion.get(assessment.questionnaireVersion || 1) || questionnaire;
+    const answers = assessment.answers || {};
+    const rekeyed = normalizeAnswers(answers, content);
+    if (JSON.stringify(Object.keys(rekeyed)) !== JSON.stringify(Object.keys(answers))) {
+      stats.assessments++;
+      if (!dryRun) {
+        await Assessment.updateOne({ _id: assessment._id }, { $set: { answers: rekeyed } });
+      }
+    }
+
+    const findQuestion = buildAnswerKeyLookup(content.questions);
+    const followUps = await FollowUp.find({ assessmentId: assessment._id });
+    for (const followUp of followUps) {
+      let changed = false;
+      followUp.items.forEach((item) => {
+        const question = findQuestion(item.questionKey);
+        if (question && questionKey(question) !== item.questionKey) {
+          item.questionKey = questionKey(question);
+          changed = true;
+        }
+      });
+      if (changed) {
+        stats.followUps++;
+        if (!dryRun) await followUp.save();
+      }
+    }
+  }
+}
+
+(async function main() {
+  if (!process.env.MONGO_URI) {
+    console.error('Error: MONGO_URI is not set');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`[Migrate] Connected${dryRun ? ' (dry run - nothing is written)' : ''}`);
+
+  const stats = { questionnaires: 0, versions: 0, assessments: 0, followUps: 0 };
+  const questionnaires = await Questionnaire.find();
+  for (const questionnaire of questionnaires) {
+    const byVersion = await migrateQuestionnaire(questionnaire, stats);
+    await migrateAssessments(questionnaire, byVersion, stats);
+  }
+
+  console.log('[Migrate] Questionnaires given question IDs:', stats.questionnaires);
+  console.log('[Migrate] Questionnaire versions updated:', stats.versions);
+  console.log('[Migrate] Assessments re-keyed:', stats.assessments);
+  console.log('[Migrate] Follow-ups re-keyed:', stats.followUps);
+  await mongoose.disconnect();
+})().catch(async (err) => {
+  console.error('[Migrate] Failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/*
+Usage:
+  node scripts/renumber-attempts.js [--dry-run]
+
+Removes duplicate attempt numbers so the unique index on completed assessments
+(childId, questionnaireId, attemptNumber) can be built. Before that index,
+concurrent submissions could be given the same attemptNumber.
+  1. Finds every child + questionnaire with two completed assessments sharing an attemptNumber.
+  2. Renumbers that child's attempts for the questionnaire 1..N, keeping their
+     order (attemptNumber, then completion time).
+  3. Builds the Assessment indexes.
+
+Run it before deploying the index, and again if the index build reports duplicates.
+Safe to run more than once - children without duplicates are left alone.
+Reads MONGO_URI from the environment / .env.
+*/
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Assessment = require('../models/Assessment');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// child + questionnaire pairs whose completed assessments repeat an attemptNumber
+async function pairsWithDuplicates() {
+  return Assessment.aggregate([
+    { $match: { 'progress.status': 'completed' } },
+    { $group: { _id: { childId: '$childId', questionnaireId: '$questionnaireId', attemptNumber: '$attemptNumber' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $group: { _id: { childId: '$_id.childId', questionnaireId: '$_id.questionnaireId' } } }
+  ]);
+}
+
+async function renumber({ childId, questionnaireId }, stats) {
+  const assessments = await Assessment.find({ childId, questionnaireId })
+    .completed()
+    .select('attemptNumber completedAt createdAt')
+    .lean();
+
+  const completedTime = a => new Date(a.completedAt || a.createdAt || 0).getTime();
+  assessments.sort((a, b) => ((a.attemptNumber || 1) - (b.attemptNumber || 1)) ||
+    (completedTime(a) - completedTime(b)) ||
+    a._id.toString().localeCompare(b._id.toString()));
+
+  for (const [idx, assessment] of assessments.entries()) {
+    const attemptNumber = idx + 1;
+    if (assessment.attemptNumber === attemptNumber) continue;
+    console.log(`[Renumber] ${assessment._id}: attempt ${assessment.attemptNumber} → ${attemptNumber}`);
+    stats.assessments++;
+    if (!dryRun) await Assessment.updateOne({ _id: assessment._id }, { $set: { attemptNumber } });
+  }
+  stats.pairs++;
+}
+
+(async function main() {
+  if (!process.env.MONGO_URI) {
+    console.error('Error: MONGO_URI is not set');
+    process.exit(1);
+  }
+  // The unique index can't be built until the duplicates are gone
+  await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+  console.log(`[Renumber] Connected${dryRun ? ' (dry run - nothing is written)' : ''}`);
+
+  const stats = { pairs: 0, assessments: 0 };
+  for (const { _id } of await pairsWithDuplicates()) {
+    await renumber(_id, stats);
+  }
+
+  console.log('[Renumber] Child/questionnaire pairs with duplicates:', stats.pairs);
+  console.log('[Renumber] Assessments renumbered:', stats.assessments);
+  if (!dryRun) {
+    await Assessment.createIndexes();
+    console.log('[Renumber] Assessment indexes built');
+  }
+  await mongoose.disconnect();
+})().catch(async (err) => {
+  console.error('[Renumber] Failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
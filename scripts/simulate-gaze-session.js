@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/*
+Usage:
+  node scripts/simulate-gaze-session.js [profile] [difficulty] [seed]
+
+Plays an eye-tracking (gaze task) session in memory with synthetic gaze
+streams from fixtures/gaze-streams.js and prints the per-trial results and
+session metrics. Needs no database or camera.
+
+  profile     social | non-social | random | lost-tracking (default social)
+  difficulty  easy | medium | hard (default easy)
+  seed        session seed (default 42)
+
+Example:
+  node scripts/simulate-gaze-session.js non-social medium 7
+*/
+
+const GameSession = require('../models/Game');
+const games = require('../utils/games');
+const { PROFILES, gazeStream } = require('../fixtures/gaze-streams');
+
+const [profile = 'social', difficulty = 'easy', seedArg = '42'] = process.argv.slice(2);
+
+(function main() {
+  if (!PROFILES[profile]) {
+    console.error(`Error: unknown profile "${profile}" (${Object.keys(PROFILES).join(', ')})`);
+    process.exit(1);
+  }
+  const definition = games.getGameType('eye-tracking');
+  const config = definition.difficulties[difficulty];
+  if (!config) {
+    console.error(`Error: unknown difficulty "${difficulty}"`);
+    process.exit(1);
+  }
+
+  const session = new GameSession({ gameType: definition.type, difficulty, seed: Number(seedArg), status: 'in-progress', gameDetails: { matchedPairs: 0 } });
+  let { trial } = definition.start(session, config);
+  let onsetT = 1000;
+
+  while (trial) {
+    const samples = gazeStream(trial, profile, { seed: session.seed });
+    const result = definition.event(session, { trialId: trial.id, onsetT, samples });
+    games.recordEvent(session, result);
+
+    const r = result.response.result;
+    const summary = trial.type === 'preference'
+      ? `social ${r.socialDwellMs} ms / non-social ${r.nonSocialDwellMs} ms, ttff social ${r.ttffSocial}`
+      : `cue ${trial.cue}, looked ${r.lookedAt}, followed ${r.followed}, latency ${r.latency}`;
+    console.log(`[Gaze] trial ${trial.id} ${trial.type.padEnd(11)} quality ${r.quality.ok ? 'ok ' : 'low'} | ${summary}`);
+
+    onsetT += trial.durationMs + 500;
+    trial = result.response.trial;
+  }
+
+  games.finalizeTiming(session);
+  definition.complete(session, {});
+  console.log(`[Gaze] ${profile} / ${difficulty}: score ${session.score}, accuracy ${session.accuracy}`);
+  console.log(JSON.stringify(session.metrics, null, 2));
+})();
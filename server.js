@@ -5,12 +5,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const http = require('http');
 const { initChatServer } = require('./chatServer');
+const { errorEnvelope, errorHandler } = require('./middleware/errors');
 
 const authRoutes = require('./routes/auth');
 const responseRoutes = require('./routes/response');
 const adminRoutes = require('./routes/admin');
 const childrenRoutes = require('./routes/children');
 const assessmentRoutes = require('./routes/assessments');
+const followUpRoutes = require('./routes/follow-up');
 const mediaRoutes = require('./routes/media');
 const reportRoutes = require('./routes/reports-enhanced');
 const progressReportRoutes = require('./routes/progress-report');
@@ -21,7 +23,8 @@ const accessRoutes = require('./routes/access');
 const questionnaireRoutes = require('./routes/questionnaires');
 const llmRoutes = require('./routes/llm');
 const gameRoutes = require('./routes/games');
-const handEyeGameRoutes = require('./routes/hand-eye-game');
+const gameNormRoutes = require('./routes/game-norms');
+const { startAbandonmentJob } = require('./utils/games/abandonment');
 
 const app = express();
 
@@ -36,19 +39,22 @@ const allowedOrigins = [
   'https://predictasd.vercel.app',
 ];
 
+// Shared by the REST API and the Socket.IO chat server
+const corsOrigin = function (origin, callback) {
+  // Allow requests with no origin (like mobile apps or curl) and same-origin
+  if (!origin) return callback(null, true);
+  if (allowedOrigins.includes(origin)) return callback(null, true);
+  // Allow any localhost origin for development (e.g., 3000-3010)
+  const localhostMatch = /^http:\/\/localhost:(\d+)$/.exec(origin);
+  if (localhostMatch) {
+    const port = parseInt(localhostMatch[1], 10);
+    if (port >= 3000 && port <= 3010) return callback(null, true);
+  }
+  return callback(new Error('Not allowed by CORS'));
+};
+
 app.use(cors({
-  origin: function (origin, callback) {
-    // Allow requests with no origin (like mobile apps or curl) and same-origin
-    if (!origin) return callback(null, true);
-    if (allowedOrigins.includes(origin)) return callback(null, true);
-    // Allow any localhost origin for development (e.g., 3000-3010)
-    const localhostMatch = /^http:\/\/localhost:(\d+)$/.exec(origin);
-    if (localhostMatch) {
-      const port = parseInt(localhostMatch[1], 10);
-      if (port >= 3000 && port <= 3010) return callback(null, true);
-    }
-    return callback(new Error('Not allowed by CORS'));
-  },
+  origin: corsOrigin,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE']
 }));
@@ -69,6 +75,9 @@ const connectMongoDB = async () => {
 
 connectMongoDB();
 
+// Every error response gets the { error, code, details? } envelope
+app.use(errorEnvelope);
+
 // Health check
 app.get('/', (req, res) => res.send({ status: 'ok', service: 'predict-asd-backend' }));
 
@@ -78,6 +87,7 @@ app.use('/api/responses', responseRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/children', childrenRoutes);
 app.use('/api/assessments', assessmentRoutes);
+app.use('/api/assessments', followUpRoutes);
 app.use('/api/media', mediaRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/reports', progressReportRoutes);
@@ -87,25 +97,24 @@ app.use('/api/search', searchRoutes);
 app.use('/api/access', accessRoutes);
 app.use('/api/questionnaires', questionnaireRoutes);
 app.use('/api/llm', llmRoutes);
-app.use(gameRoutes);
-app.use(handEyeGameRoutes);
+app.use('/api/games/norms', gameNormRoutes);
+app.use('/api/games', gameRoutes);
 
-// Global Error Handler
-app.use((err, req, res, next) => {
-  console.error('🔥 Error:', err);
-  res.status(500).json({ error: 'Internal Server Error' });
-});
+// Global Error Handler (CastError/ValidationError → 400, everything else → 500)
+app.use(errorHandler);
 
 // HTTP + Socket Server
 const PORT = process.env.PORT || 8002;
 const server = http.createServer(app);
-initChatServer(server);
+app.set('io', initChatServer(server, { corsOrigin }));
 
 // For local development
 if (process.env.NODE_ENV !== 'production') {
   server.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`💬 WebSocket chat active on ws://localhost:${PORT}`);
+    // Serverless deployments run scripts/abandon-stale-games.js on a schedule instead
+    startAbandonmentJob();
   });
 }
 
@@ -0,0 +1,96 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const games = require('../utils/games');
+const { stepConfig, checkConfig, recommendConfig, nearestDifficulty } = require('../utils/games/adaptive');
+
+const memory = games.getGameType('memory');
+const simon = games.getGameType('simon-says');
+
+// Completed sessions, newest first, all played with `config`
+const played = (config, ...scores) => scores.map(score => ({ difficulty: 'easy', config, score }));
+
+describe('stepConfig', () => {
+  test('moves every parameter one step in its harder direction', () => {
+    const config = { ...simon.difficulties.medium };
+    assert.deepEqual(stepConfig(simon, config, 1), { ...config, startSpan: 4, stepMs: 700 });
+    assert.deepEqual(stepConfig(simon, config, -1), { ...config, startSpan: 2, stepMs: 900 });
+  });
+
+  test('stays within min and max', () => {
+    assert.equal(stepConfig(memory, { cards: 20 }, 1).cards, 20);
+    assert.equal(stepConfig(memory, { cards: 4 }, -1).cards, 4);
+    const hardest = stepConfig(simon, { ...simon.difficulties.hard, startSpan: 5, stepMs: 400 }, 1);
+    assert.equal(hardest.startSpan, 5);
+    assert.equal(hardest.stepMs, 400);
+  });
+});
+
+describe('recommendConfig', () => {
+  test('starts at the easy preset', () => {
+    const result = recommendConfig(memory, []);
+    assert.equal(result.adjustment, 'initial');
+    assert.deepEqual(result.config, memory.difficulties.easy);
+  });
+
+  test('waits for enough sessions at a level', () => {
+    assert.equal(recommendConfig(memory, played({ cards: 8 }, 95)).adjustment, 'same');
+  });
+
+  test('steps up above the target band and down below it', () => {
+    const harder = recommendConfig(memory, played({ cards: 8 }, 90, 95));
+    assert.equal(harder.adjustment, 'harder');
+    assert.equal(harder.config.cards, 10);
+
+    const easier = recommendConfig(memory, played({ cards: 8 }, 30, 40));
+    assert.equal(easier.adjustment, 'easier');
+    assert.equal(easier.config.cards, 6);
+  });
+
+  test('keeps the level inside the target band, over the latest sessions only', () => {
+    const result = recommendConfig(memory, played({ cards: 8 }, 60, 70, 80, 10));
+    assert.equal(result.adjustment, 'same');
+    assert.equal(result.basedOn.sessions, 3);
+    assert.equal(result.basedOn.averageScore, 70);
+  });
+
+  test('only counts sessions at the current level', () => {
+    const sessions = [...played({ cards: 10 }, 90), ...played({ cards: 8 }, 95, 95)];
+    const result = recommendConfig(memory, sessions);
+    assert.equal(result.adjustment, 'same');
+    assert.equal(result.basedOn.sessions, 1);
+  });
+
+  test('stays put at the hardest and easiest parameters', () => {
+    const top = recommendConfig(memory, played({ cards: 20 }, 100, 100));
+    assert.equal(top.adjustment, 'same');
+    assert.equal(top.config.cards, 20);
+    assert.match(top.reason, /hardest/);
+
+    const bottom = recommendConfig(memory, played({ cards: 4 }, 0, 0));
+    assert.equal(bottom.adjustment, 'same');
+    assert.equal(bottom.config.cards, 4);
+    assert.match(bottom.reason, /easiest/);
+  });
+
+  test('uses the preset for sessions recorded before adaptive difficulty', () => {
+    const sessions = [{ difficulty: 'medium', score: 95 }, { difficulty: 'medium', score: 95 }];
+    assert.equal(recommendConfig(memory, sessions).config.cards, 14);
+  });
+});
+
+describe('nearestDifficulty', () => {
+  test('names the closest preset', () => {
+    assert.equal(nearestDifficulty(memory, { cards: 4 }), 'easy');
+    assert.equal(nearestDifficulty(memory, { cards: 13 }), 'medium');
+    assert.equal(nearestDifficulty(memory, { cards: 20 }), 'hard');
+  });
+});
+
+describe('checkConfig', () => {
+  test('rejects unknown, out-of-range and off-grid parameters', () => {
+    const details = checkConfig(memory, { cards: 7, pairs: 3 });
+    assert.deepEqual(details.map(d => d.field), ['body.config.cards', 'body.config.pairs']);
+    assert.deepEqual(checkConfig(memory, { cards: 22 }).map(d => d.message), ['must be between 4 and 20']);
+    assert.deepEqual(checkConfig(memory, { cards: 10 }), []);
+  });
+});
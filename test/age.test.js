@@ -0,0 +1,26 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAgeRange } = require('../utils/age');
+
+describe('parseAgeRange', () => {
+  test('reads ranges in a single unit', () => {
+    assert.deepEqual(parseAgeRange('16-30 months'), { min: 16, max: 30 });
+    assert.deepEqual(parseAgeRange('4 - 11 years'), { min: 48, max: 143 });
+  });
+
+  test('gives each bound of a range its own unit', () => {
+    assert.deepEqual(parseAgeRange('30 months - 5 years'), { min: 30, max: 71 });
+    assert.deepEqual(parseAgeRange('18 months to 3 yrs'), { min: 18, max: 47 });
+  });
+
+  test('reads open-ended and single ages', () => {
+    assert.deepEqual(parseAgeRange('18+ months'), { min: 18, max: null });
+    assert.deepEqual(parseAgeRange('2 years and up'), { min: 24, max: null });
+    assert.deepEqual(parseAgeRange('under 3 years'), { min: null, max: 35 });
+    assert.deepEqual(parseAgeRange('24'), { min: 24, max: 24 });
+  });
+
+  test('returns null for text without ages', () => {
+    assert.equal(parseAgeRange('all ages'), null);
+  });
+});
@@ -0,0 +1,192 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Child = require('../models/Child');
+const Assessment = require('../models/Assessment');
+const { canAccessChild, requireChildAccess } = require('../middleware/auth');
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+const caretakerId = id();
+const doctorId = id();
+const childId = id();
+const child = { _id: childId, caretakerId, authorizedDoctors: [doctorId] };
+
+const users = {
+  owner: { id: caretakerId, role: 'caretaker' },
+  otherCaretaker: { id: id(), role: 'caretaker' },
+  authorizedDoctor: { id: doctorId, role: 'doctor', doctorVerified: true },
+  unauthorizedDoctor: { id: id(), role: 'doctor', doctorVerified: true },
+  unverifiedDoctor: { id: doctorId, role: 'doctor', doctorVerified: false },
+  admin: { id: id(), role: 'admin' },
+};
+
+// Minimal Express response that records what the middleware sent
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+async function run(middleware, req) {
+  const res = mockResponse();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+let singleDoctorMode;
+beforeEach(() => {
+  singleDoctorMode = process.env.SINGLE_DOCTOR_MODE;
+  delete process.env.SINGLE_DOCTOR_MODE;
+});
+afterEach(() => {
+  if (singleDoctorMode === undefined) delete process.env.SINGLE_DOCTOR_MODE;
+  else process.env.SINGLE_DOCTOR_MODE = singleDoctorMode;
+  mock.restoreAll();
+});
+
+describe('canAccessChild', () => {
+  test('allows the caretaker who owns the child', () => {
+    assert.equal(canAccessChild(users.owner, child), true);
+  });
+
+  test('denies another caretaker', () => {
+    assert.equal(canAccessChild(users.otherCaretaker, child), false);
+  });
+
+  test('allows a verified doctor in authorizedDoctors', () => {
+    assert.equal(canAccessChild(users.authorizedDoctor, child), true);
+  });
+
+  test('accepts populated authorizedDoctors and caretakerId', () => {
+    const populated = { caretakerId: { _id: caretakerId }, authorizedDoctors: [{ _id: doctorId }] };
+    assert.equal(canAccessChild(users.owner, populated), true);
+    assert.equal(canAccessChild(users.authorizedDoctor, populated), true);
+  });
+
+  test('denies a doctor not in authorizedDoctors', () => {
+    assert.equal(canAccessChild(users.unauthorizedDoctor, child), false);
+  });
+
+  test('denies an unverified doctor even when authorized', () => {
+    assert.equal(canAccessChild(users.unverifiedDoctor, child), false);
+  });
+
+  test('allows every verified doctor in single doctor mode', () => {
+    process.env.SINGLE_DOCTOR_MODE = 'true';
+    assert.equal(canAccessChild(users.unauthorizedDoctor, child), true);
+    assert.equal(canAccessChild(users.unverifiedDoctor, child), false);
+    assert.equal(canAccessChild(users.otherCaretaker, child), false);
+  });
+
+  test('allows admins', () => {
+    assert.equal(canAccessChild(users.admin, child), true);
+  });
+
+  test('denies without a user or child', () => {
+    assert.equal(canAccessChild(null, child), false);
+    assert.equal(canAccessChild(users.admin, null), false);
+  });
+});
+
+describe('requireChildAccess', () => {
+  const byParam = requireChildAccess('params.childId');
+
+  beforeEach(() => {
+    mock.method(Child, 'findById', async (lookupId) => (lookupId.toString() === childId ? child : null));
+  });
+
+  test('calls next and sets req.child for the owning caretaker', async () => {
+    const req = { user: users.owner, params: { childId } };
+    const { res, nextCalled } = await run(byParam, req);
+    assert.equal(nextCalled, true);
+    assert.equal(res.body, undefined);
+    assert.equal(req.child, child);
+  });
+
+  test('returns 403 for another caretaker', async () => {
+    const { res, nextCalled } = await run(byParam, { user: users.otherCaretaker, params: { childId } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { error: 'Access denied. Request access from caretaker first.' });
+  });
+
+  test('calls next for an authorized doctor', async () => {
+    const { nextCalled } = await run(byParam, { user: users.authorizedDoctor, params: { childId } });
+    assert.equal(nextCalled, true);
+  });
+
+  test('returns 403 for an unauthorized doctor', async () => {
+    const { res, nextCalled } = await run(byParam, { user: users.unauthorizedDoctor, params: { childId } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('calls next for any verified doctor in single doctor mode', async () => {
+    process.env.SINGLE_DOCTOR_MODE = 'true';
+    const { nextCalled } = await run(byParam, { user: users.unauthorizedDoctor, params: { childId } });
+    assert.equal(nextCalled, true);
+  });
+
+  test('calls next for admins', async () => {
+    const { nextCalled } = await run(byParam, { user: users.admin, params: { childId } });
+    assert.equal(nextCalled, true);
+  });
+
+  test('returns 401 without a user', async () => {
+    const { res, nextCalled } = await run(byParam, { params: { childId } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('returns 400 when the id is missing', async () => {
+    const { res } = await run(requireChildAccess('body.childId'), { user: users.owner, body: {} });
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'childId is required' });
+  });
+
+  test('returns 400 for an invalid id', async () => {
+    const { res, nextCalled } = await run(byParam, { user: users.owner, params: { childId: 'not-an-id' } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'Invalid childId' });
+    assert.equal(Child.findById.mock.callCount(), 0);
+  });
+
+  test('returns 404 for a missing child', async () => {
+    const { res, nextCalled } = await run(byParam, { user: users.admin, params: { childId: id() } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 404);
+    assert.deepEqual(res.body, { error: 'Child not found' });
+  });
+
+  test('resolves the child through a record when given a Model', async () => {
+    const assessmentId = id();
+    mock.method(Assessment, 'findById', (lookupId) => ({
+      select: () => ({ lean: async () => (lookupId === assessmentId ? { childId } : null) }),
+    }));
+    const byAssessment = requireChildAccess('params.id', Assessment);
+
+    const allowed = await run(byAssessment, { user: users.owner, params: { id: assessmentId } });
+    assert.equal(allowed.nextCalled, true);
+
+    const denied = await run(byAssessment, { user: users.otherCaretaker, params: { id: assessmentId } });
+    assert.equal(denied.res.statusCode, 403);
+
+    const missing = await run(byAssessment, { user: users.admin, params: { id: id() } });
+    assert.equal(missing.res.statusCode, 404);
+    assert.deepEqual(missing.res.body, { error: `${Assessment.modelName} not found` });
+  });
+
+  test('returns 500 when the lookup fails', async () => {
+    mock.method(Child, 'findById', async () => { throw new Error('connection lost'); });
+    mock.method(console, 'error', () => {});
+    const { res, nextCalled } = await run(byParam, { user: users.admin, params: { childId } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 500);
+  });
+});
@@ -0,0 +1,131 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSession = require('../models/Game');
+const games = require('../utils/games');
+const { analyzeSamples, analyzeGazeFollowTrial } = require('../utils/games/gaze');
+const { PROFILES, gazeStream } = require('../fixtures/gaze-streams');
+
+const AOIS = { left: { x0: 0, y0: 0, x1: 0.4, y1: 1 }, right: { x0: 0.6, y0: 0, x1: 1, y1: 1 } };
+
+// 30 Hz samples at one point from `from` to `to` ms
+const look = (from, to, x, y = 0.5) => {
+  const samples = [];
+  for (let t = from; t < to; t += 33) samples.push({ t, x, y });
+  return samples;
+};
+
+// Plays a whole session with synthetic streams, like scripts/simulate-gaze-session.js
+function playSession(profile, difficulty = 'medium', seed = 7) {
+  const definition = games.getGameType('eye-tracking');
+  const session = new GameSession({ gameType: definition.type, difficulty, seed, status: 'in-progress', gameDetails: { matchedPairs: 0 } });
+  let { trial } = definition.start(session, definition.difficulties[difficulty]);
+  let onsetT = 1000;
+  while (trial) {
+    const result = definition.event(session, { trialId: trial.id, onsetT, samples: gazeStream(trial, profile, { seed }) });
+    games.recordEvent(session, result);
+    onsetT += trial.durationMs + 500;
+    trial = result.response.trial;
+  }
+  games.finalizeTiming(session);
+  definition.complete(session, {});
+  return session;
+}
+
+describe('analyzeSamples', () => {
+  test('measures dwell and first fixation per AOI', () => {
+    const samples = [...look(0, 990, 0.2), ...look(990, 2000, 0.8)];
+    const { dwell, fixations, firstFixation, quality } = analyzeSamples(samples, AOIS, 2000);
+    assert.ok(Math.abs(dwell.left - 990) <= 33);
+    assert.ok(Math.abs(dwell.right - 1010) <= 33);
+    assert.deepEqual(fixations.map(f => f.aoi), ['left', 'right']);
+    assert.deepEqual(firstFixation, { left: 0, right: 990 });
+    assert.equal(quality.ok, true);
+  });
+
+  test('ignores glances shorter than a fixation', () => {
+    const samples = [...look(0, 990, 0.2), ...look(990, 1056, 0.8), ...look(1056, 2000, 0.2)];
+    const { fixations, firstFixation } = analyzeSamples(samples, AOIS, 2000);
+    assert.equal(fixations.some(f => f.aoi === 'right'), false);
+    assert.equal(firstFixation.right, undefined);
+  });
+
+  test('does not count tracking gaps as looking time', () => {
+    const samples = [...look(0, 500, 0.2), ...look(1500, 2000, 0.2)];
+    const { dwell, fixations } = analyzeSamples(samples, AOIS, 2000);
+    // The sample before the gap counts for MAX_SAMPLE_GAP_MS at most
+    assert.ok(dwell.left < 1200);
+    assert.equal(fixations.length, 2);
+  });
+
+  test('flags trials with mostly invalid samples', () => {
+    const samples = look(0, 2000, 0.2).map((s, i) => (i % 4 === 0 ? s : { t: s.t, valid: false }));
+    const { quality } = analyzeSamples(samples, AOIS, 2000);
+    assert.ok(quality.validFraction < 0.5);
+    assert.equal(quality.ok, false);
+  });
+
+  test('accepts unsorted samples and drops those outside the trial', () => {
+    const samples = [...look(0, 2000, 0.2)].reverse().concat({ t: 5000, x: 0.8, y: 0.5 });
+    const { dwell, quality } = analyzeSamples(samples, AOIS, 2000);
+    assert.equal(dwell.right, 0);
+    assert.equal(quality.samples, samples.length - 1);
+  });
+});
+
+describe('analyzeGazeFollowTrial', () => {
+  const trial = { durationMs: 3000, cueAt: 1000, cue: 'left', aois: { ...AOIS, face: { x0: 0.45, y0: 0, x1: 0.55, y1: 1 } } };
+
+  test('follows when the first object fixated after the cue is the cued one', () => {
+    const result = analyzeGazeFollowTrial(trial, [...look(0, 1400, 0.5), ...look(1400, 3000, 0.2)]);
+    assert.equal(result.followed, true);
+    assert.equal(result.lookedAt, 'left');
+    assert.ok(Math.abs(result.latency - 400) <= 33);
+  });
+
+  test('does not follow when the other object is fixated first', () => {
+    const result = analyzeGazeFollowTrial(trial, [...look(0, 1400, 0.5), ...look(1400, 3000, 0.8)]);
+    assert.equal(result.followed, false);
+    assert.equal(result.lookedAt, 'right');
+  });
+
+  test('fixations before the cue do not count', () => {
+    const result = analyzeGazeFollowTrial(trial, [...look(0, 800, 0.8), ...look(800, 3000, 0.5)]);
+    assert.equal(result.lookedAt, null);
+    assert.equal(result.latency, null);
+  });
+});
+
+describe('synthetic gaze streams', () => {
+  const trial = { id: 3, type: 'gaze-follow', durationMs: 4000, cueAt: 1000, cue: 'left', aois: { ...AOIS, face: { x0: 0.45, y0: 0, x1: 0.55, y1: 1 } } };
+
+  test('are deterministic for a seed', () => {
+    assert.deepEqual(gazeStream(trial, 'social', { seed: 5 }), gazeStream(trial, 'social', { seed: 5 }));
+    assert.notDeepEqual(gazeStream(trial, 'social', { seed: 5 }), gazeStream(trial, 'social', { seed: 6 }));
+  });
+
+  test('reject unknown profiles', () => {
+    assert.throws(() => gazeStream(trial, 'sleepy'), /Unknown gaze profile/);
+  });
+
+  test('every profile completes a session', () => {
+    Object.keys(PROFILES).forEach((profile) => {
+      const session = playSession(profile);
+      assert.ok(Number.isFinite(session.score), profile);
+      assert.equal(session.metrics.validTrials + session.metrics.excludedTrials, 10, profile);
+    });
+  });
+
+  test('the social profile prefers social images and follows gaze, unlike the non-social one', () => {
+    const social = playSession('social').metrics;
+    const nonSocial = playSession('non-social').metrics;
+    assert.ok(social.socialPreference > 0.6);
+    assert.ok(nonSocial.socialPreference < 0.4);
+    assert.ok(social.gazeFollowSuccess > nonSocial.gazeFollowSuccess);
+  });
+
+  test('trials with lost tracking are excluded', () => {
+    const { metrics } = playSession('lost-tracking');
+    assert.ok(metrics.excludedTrials > 0);
+    assert.ok(metrics.dataQuality < 0.5);
+  });
+});
@@ -0,0 +1,26 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSession = require('../models/Game');
+const { ApiError } = require('../middleware/errors');
+const games = require('../utils/games');
+
+const memory = games.getGameType('memory');
+
+const newSession = (fields = {}) => new GameSession({ gameType: 'memory', seed: 42, status: 'in-progress', ...fields });
+
+describe('memory game', () => {
+  test('resumes a session with a server-side board', () => {
+    const session = newSession();
+    memory.start(session, memory.difficulties.easy);
+    memory.event(session, { cardIndex: 0 });
+
+    const resumed = memory.resume(session);
+    assert.equal(resumed.totalCards, 8);
+    assert.deepEqual(resumed.openCard, { cardIndex: 0, face: session.state.board[0] });
+  });
+
+  test('refuses to resume a session from before server-side boards', () => {
+    const session = newSession({ state: {} });
+    assert.throws(() => memory.resume(session), (err) => err instanceof ApiError && err.status === 409 && err.code === 'LEGACY_SESSION');
+  });
+});
@@ -0,0 +1,99 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalCdf, findNorm, scoreAgainstNorm, compareToNorms, parseNormRows } = require('../utils/games/norms');
+
+// Child born 40 months before the sessions below were played
+const DOB = new Date('2020-01-15');
+const PLAYED = new Date('2023-05-20');
+
+const norm = (fields = {}) => ({ metric: 'score', difficulty: 'any', minMonths: 36, maxMonths: 47, mean: 50, sd: 10, higherIsBetter: true, ...fields });
+const session = (fields = {}) => ({ difficulty: 'easy', createdAt: PLAYED, score: 50, ...fields });
+
+describe('normalCdf', () => {
+  test('is 0.5 at 0 and symmetric', () => {
+    assert.ok(Math.abs(normalCdf(0) - 0.5) < 1e-7);
+    assert.ok(Math.abs(normalCdf(1.96) - 0.975) < 1e-3);
+    assert.ok(Math.abs(normalCdf(-1.5) + normalCdf(1.5) - 1) < 1e-7);
+  });
+});
+
+describe('scoreAgainstNorm', () => {
+  test('gives the z-score and percentile', () => {
+    assert.deepEqual(scoreAgainstNorm(60, norm()), { zScore: 1, percentile: 84.1 });
+  });
+
+  test('flips lower-is-better metrics so negative is always worse', () => {
+    assert.deepEqual(scoreAgainstNorm(60, norm({ higherIsBetter: false })), { zScore: -1, percentile: 15.9 });
+  });
+
+  test('returns null for a standard deviation of 0', () => {
+    assert.equal(scoreAgainstNorm(60, norm({ sd: 0 })), null);
+  });
+});
+
+describe('findNorm', () => {
+  test('prefers a difficulty-specific band over "any"', () => {
+    const easy = norm({ difficulty: 'easy', mean: 40 });
+    assert.equal(findNorm([norm(), easy], { metric: 'score', difficulty: 'easy', ageMonths: 40 }), easy);
+  });
+
+  test('includes both ends of the band and nothing outside it', () => {
+    const norms = [norm()];
+    assert.ok(findNorm(norms, { metric: 'score', difficulty: 'easy', ageMonths: 36 }));
+    assert.ok(findNorm(norms, { metric: 'score', difficulty: 'easy', ageMonths: 47 }));
+    assert.equal(findNorm(norms, { metric: 'score', difficulty: 'easy', ageMonths: 48 }), null);
+  });
+});
+
+describe('compareToNorms', () => {
+  test('averages z-scores over the sessions with a norm', () => {
+    const result = compareToNorms([session({ score: 60 }), session({ score: 40 }), session({ score: 55 })], [norm()], DOB);
+    assert.equal(result.available, true);
+    assert.equal(result.metrics.score.sessions, 3);
+    assert.equal(result.metrics.score.zScore, 0.17);
+    assert.equal(result.metrics.score.latest.zScore, 1);
+  });
+
+  test('flags metrics below the flag percentile', () => {
+    const result = compareToNorms([session({ score: 20 })], [norm()], DOB, { flagBelow: 10 });
+    assert.deepEqual(result.flagged, ['score']);
+    assert.equal(result.metrics.score.flagged, true);
+  });
+
+  test('reports no norms when no band covers the child\'s age', () => {
+    const result = compareToNorms([session()], [norm({ minMonths: 12, maxMonths: 23 })], DOB);
+    assert.equal(result.available, false);
+    assert.deepEqual(result.metrics, {});
+    assert.match(result.reason, /No norms match/);
+  });
+
+  test('skips norms with a standard deviation of 0', () => {
+    const result = compareToNorms([session()], [norm({ sd: 0 })], DOB);
+    assert.equal(result.available, false);
+  });
+
+  test('needs a date of birth and imported norms', () => {
+    assert.match(compareToNorms([session()], [norm()], null).reason, /date of birth/);
+    assert.match(compareToNorms([session()], [], DOB).reason, /No norms imported/);
+  });
+});
+
+describe('parseNormRows', () => {
+  const row = (fields = {}) => ({ gameType: 'memory', metric: 'score', ageBand: '36-47 months', mean: '50', sd: '10', ...fields });
+
+  test('reads age bands, open-ended bands and metric direction', () => {
+    const { norms, details } = parseNormRows([row(), row({ ageBand: '48+ months', metric: 'reactionTime' })]);
+    assert.deepEqual(details, []);
+    assert.equal(norms[0].minMonths, 36);
+    assert.equal(norms[0].maxMonths, 47);
+    assert.equal(norms[0].higherIsBetter, true);
+    assert.equal(norms[1].maxMonths, 1200);
+    assert.equal(norms[1].higherIsBetter, false);
+  });
+
+  test('rejects a standard deviation of 0 and an inverted band', () => {
+    const { norms, details } = parseNormRows([row({ sd: '0' }), row({ ageBand: undefined, minMonths: '48', maxMonths: '36' })]);
+    assert.deepEqual(norms, []);
+    assert.deepEqual(details.map(d => d.field), ['row 2.sd', 'row 3.maxMonths']);
+  });
+});
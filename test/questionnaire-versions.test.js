@@ -0,0 +1,83 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const Questionnaire = require('../models/Questionnaire');
+const QuestionnaireVersion = require('../models/QuestionnaireVersion');
+const { snapshotOf, contentDiffers, diffVersions } = require('../utils/questionnaire-versions');
+
+const content = () => ({
+  name: 'M-CHAT',
+  fullName: 'Modified Checklist for Autism in Toddlers',
+  answerOptions: ['Yes', 'No'],
+  ageRange: '16-30 months',
+  questions: [
+    { questionId: 'q1', text: 'Does your child point?', order: 1, optionScores: { Yes: 0, No: 1 } },
+    { questionId: 'q2', text: 'Does your child wave?', order: 2, translations: { es: '¿Su hijo saluda?' } },
+  ],
+  scoringRules: [{ minScore: 0, maxScore: 2, riskLevel: 'Low' }],
+  translations: { es: { name: 'M-CHAT', answerOptions: ['Sí', 'No'] } },
+});
+
+// A questionnaire and the version stored from it, as the PUT route compares them
+async function withVersion() {
+  const questionnaire = new Questionnaire(content());
+  await questionnaire.validate();
+  const version = new QuestionnaireVersion({ ...snapshotOf(questionnaire), questionnaireId: questionnaire._id, version: 1 });
+  return { questionnaire, version };
+}
+
+describe('contentDiffers', () => {
+  test('is false when the same content is saved again', async () => {
+    const { questionnaire, version } = await withVersion();
+    questionnaire.set(content());
+    await questionnaire.validate();
+    assert.equal(contentDiffers(questionnaire, version), false);
+  });
+
+  test('detects changed questions, scoring and translations', async () => {
+    const edits = [
+      (q) => { q.questions[1].text = 'Does your child wave bye-bye?'; },
+      (q) => { q.questions[0].optionScores.set('No', 2); },
+      (q) => { q.scoringRules[0].maxScore = 3; },
+      (q) => { q.translations.get('es').answerOptions = ['Sí', 'Nunca']; },
+      (q) => { q.answerOptions = ['Yes', 'No', 'Sometimes']; },
+    ];
+    for (const edit of edits) {
+      const { questionnaire, version } = await withVersion();
+      edit(questionnaire);
+      assert.equal(contentDiffers(questionnaire, version), true);
+    }
+  });
+
+  test('ignores fields outside the versioned content', async () => {
+    const { questionnaire, version } = await withVersion();
+    questionnaire.isActive = false;
+    assert.equal(contentDiffers(questionnaire, version), false);
+  });
+
+  test('is true without a stored version', async () => {
+    const { questionnaire } = await withVersion();
+    assert.equal(contentDiffers(questionnaire, null), true);
+  });
+});
+
+describe('diffVersions', () => {
+  const question = (questionId, order, text) => ({ questionId, order, text });
+
+  test('matches questions by questionId when one is inserted', () => {
+    const from = { name: 'X', questions: [question('q1', 1, 'A'), question('q2', 2, 'B')] };
+    const to = { name: 'X', questions: [question('q1', 1, 'A'), question('q3', 2, 'New'), question('q2', 3, 'B')] };
+    const { questions } = diffVersions(from, to);
+
+    assert.deepEqual(questions.added.map(q => q.questionId), ['q3']);
+    assert.deepEqual(questions.removed, []);
+    assert.deepEqual(questions.changed, [{ questionId: 'q2', order: 3, changes: { order: { from: 2, to: 3 } } }]);
+  });
+
+  test('falls back to order for snapshots without question IDs', () => {
+    const from = { name: 'X', questions: [{ order: 1, text: 'A' }, { order: 2, text: 'B' }] };
+    const to = { name: 'X', questions: [{ order: 1, text: 'A' }, { order: 2, text: 'B2' }] };
+    const { questions } = diffVersions(from, to);
+
+    assert.deepEqual(questions.changed, [{ questionId: undefined, order: 2, changes: { text: { from: 'B', to: 'B2' } } }]);
+  });
+});
@@ -0,0 +1,86 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAnswers, validateAnswers } = require('../utils/questions');
+const { computeScore } = require('../utils/scoring');
+
+const yesNo = {
+  answerOptions: ['Yes', 'No'],
+  questions: [
+    { questionId: 'q1', text: 'Does your child point?', order: 1 },
+    { questionId: 'q2', text: 'Does your child wave?', order: 2 },
+  ],
+};
+
+const scored = {
+  questions: [
+    { questionId: 'q1', text: 'How often?', order: 1, optionScores: { Never: 0, Sometimes: 1, Often: 3 } },
+  ],
+};
+
+const unscored = {
+  questions: [{ questionId: 'q1', text: 'Free answer', order: 1 }],
+};
+
+const coded = {
+  answerOptions: ['0 Never', '1 Sometimes', '2 Often'],
+  questions: [
+    { questionId: 'q1', text: 'Lines up toys?', order: 1 },
+    { questionId: 'q2', text: 'Flaps hands?', order: 2 },
+  ],
+};
+
+const fields = details => details.map(d => d.field);
+
+// What the assessment routes do with a submission
+const check = (answers, questionnaire, options) => validateAnswers(normalizeAnswers(answers, questionnaire), questionnaire, options);
+const score = (answers, questionnaire) => computeScore(normalizeAnswers(answers, questionnaire), questionnaire).score;
+
+describe('validateAnswers', () => {
+  test('accepts option values and option indices', () => {
+    assert.deepEqual(check({ q1: 'Yes', q2: 1 }, yesNo), []);
+    assert.deepEqual(check({ q1: '0', q2: 'no' }, yesNo), []);
+  });
+
+  test('rejects out-of-range option indices', () => {
+    assert.deepEqual(fields(check({ q1: 999, q2: 'No' }, yesNo)), ['answers.q1']);
+    assert.deepEqual(fields(check({ q1: '2', q2: 'No' }, yesNo)), ['answers.q1']);
+  });
+
+  test('rejects negative and fractional numbers', () => {
+    assert.deepEqual(fields(check({ q1: -5, q2: 'No' }, yesNo)), ['answers.q1']);
+    assert.deepEqual(fields(check({ q1: 'Yes', q2: '0.5' }, yesNo)), ['answers.q2']);
+  });
+
+  test('accepts optionScores values as numeric answers', () => {
+    assert.deepEqual(check({ q1: 3 }, scored), []);
+    assert.deepEqual(fields(check({ q1: 5 }, scored)), ['answers.q1']);
+    assert.deepEqual(fields(check({ q1: -1 }, scored)), ['answers.q1']);
+  });
+
+  test('rejects numbers for questions without options', () => {
+    assert.deepEqual(fields(check({ q1: 42 }, unscored)), ['answers.q1']);
+  });
+
+  test('reports missing answers unless partial', () => {
+    assert.deepEqual(fields(check({ q1: 'Yes' }, yesNo)), ['answers.q2']);
+    assert.deepEqual(check({ q1: 'Yes' }, yesNo, { partial: true }), []);
+  });
+});
+
+describe('normalizeAnswers', () => {
+  test('turns option indices into option labels', () => {
+    assert.deepEqual(normalizeAnswers({ q1: 1, q2: '0' }, yesNo), { q1: 'No', q2: 'Yes' });
+  });
+
+  test('turns option scores into option labels', () => {
+    assert.deepEqual(normalizeAnswers({ q1: 3 }, scored), { q1: 'Often' });
+    assert.deepEqual(normalizeAnswers({ q1: 2, q2: 1 }, coded), { q1: '2 Often', q2: '1 Sometimes' });
+  });
+
+  test('numeric and label answers score the same', () => {
+    assert.equal(score({ q1: 1, q2: 0 }, yesNo), score({ q1: 'No', q2: 'Yes' }, yesNo));
+    assert.equal(score({ q1: 2, q2: 1 }, coded), 3);
+    assert.equal(score({ q1: '2 Often', q2: '1 Sometimes' }, coded), 3);
+    assert.equal(score({ q1: 3 }, scored), score({ q1: 'Often' }, scored));
+  });
+});
@@ -0,0 +1,91 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeScore, riskForScore, buildOptionScoreMap } = require('../utils/scoring');
+const { normalizeAnswers } = require('../utils/questions');
+
+// M-CHAT-R style: items fail on "No", except reverse-worded ones
+const mchat = {
+  answerOptions: ['Yes', 'No'],
+  questions: [
+    { questionId: 'q1', text: 'Points?', order: 1, optionScores: { Yes: 0, No: 1 }, critical: true, domain: 'social', subscale: 'joint-attention' },
+    { questionId: 'q2', text: 'Deaf?', order: 2, optionScores: { Yes: 1, No: 0 }, domain: 'sensory' },
+    { questionId: 'q3', text: 'Plays pretend?', order: 3, optionScores: { Yes: 0, No: 1 }, domain: 'social' },
+  ],
+  scoringRules: [
+    { minScore: 0, maxScore: 0, riskLevel: 'Low' },
+    { minScore: 1, maxScore: 2, riskLevel: 'Medium' },
+    { minScore: 3, riskLevel: 'High' },
+  ],
+};
+
+const frequency = {
+  answerOptions: ['0 Never', '1 Sometimes', '2 Often'],
+  questions: [
+    { questionId: 'q1', text: 'Lines up toys?', order: 1 },
+    { questionId: 'q2', text: 'Makes eye contact?', order: 2, reverseScored: true },
+  ],
+};
+
+const scoreOf = (answers, questionnaire) => computeScore(normalizeAnswers(answers, questionnaire), questionnaire);
+
+describe('computeScore', () => {
+  test('uses optionScores case-insensitively', () => {
+    const result = computeScore({ q1: 'no', q2: 'YES', q3: 'Yes' }, mchat);
+    assert.equal(result.score, 2);
+    assert.equal(result.risk, 'Medium');
+    assert.deepEqual(result.itemScores, { q1: 1, q2: 1, q3: 0 });
+  });
+
+  test('counts critical failures and sums domain and subscale scores', () => {
+    const result = computeScore({ q1: 'No', q2: 'No', q3: 'No' }, mchat);
+    assert.equal(result.criticalFailures, 1);
+    assert.deepEqual(result.subscores.social, { score: 2, items: 2, failedItems: 2 });
+    assert.deepEqual(result.subscores['social/joint-attention'], { score: 1, items: 1, failedItems: 1 });
+    assert.deepEqual(result.subscores.sensory, { score: 0, items: 1, failedItems: 0 });
+  });
+
+  test('reads numeric-coded options and reverses reverse-scored items within the scale', () => {
+    const result = computeScore({ q1: '2 Often', q2: '0 Never' }, frequency);
+    assert.deepEqual(result.itemScores, { q1: 2, q2: 2 });
+  });
+
+  test('counts yes answers when every answer is yes or no', () => {
+    const yesNo = { questions: [{ questionId: 'q1', text: 'A', order: 1 }, { questionId: 'q2', text: 'B', order: 2 }] };
+    assert.equal(computeScore({ q1: 'Yes', q2: 'no' }, yesNo).score, 1);
+  });
+
+  test('scores unknown answers 0', () => {
+    assert.equal(computeScore({ q1: 'Maybe' }, frequency).score, 0);
+  });
+
+  test('scores a mix of label and numeric answers like the labels', () => {
+    const labels = scoreOf({ q1: 'No', q2: 'No', q3: 'Yes' }, mchat);
+    const mixed = scoreOf({ q1: 1, q2: 'No', q3: '0' }, mchat);
+    assert.equal(mixed.score, labels.score);
+    assert.deepEqual(mixed.itemScores, labels.itemScores);
+
+    assert.equal(scoreOf({ q1: 2, q2: '0 Never' }, frequency).score, scoreOf({ q1: '2 Often', q2: 0 }, frequency).score);
+    assert.equal(scoreOf({ q1: 2, q2: 0 }, frequency).score, 4);
+  });
+});
+
+describe('riskForScore', () => {
+  test('uses the scoring rules, with open-ended top bands', () => {
+    assert.equal(riskForScore(0, mchat), 'Low');
+    assert.equal(riskForScore(2, mchat), 'Medium');
+    assert.equal(riskForScore(20, mchat), 'High');
+  });
+
+  test('falls back to yes/no thresholds without rules', () => {
+    assert.equal(riskForScore(2, {}), 'Low');
+    assert.equal(riskForScore(3, {}), 'Medium');
+    assert.equal(riskForScore(7, {}), 'High');
+  });
+});
+
+describe('buildOptionScoreMap', () => {
+  test('uses the numeric prefix, else the option index', () => {
+    assert.deepEqual([...buildOptionScoreMap(['0 Never', '3 Always'])], [['0 Never', 0], ['3 Always', 3]]);
+    assert.deepEqual([...buildOptionScoreMap(['Low', 'High'])], [['Low', 0], ['High', 1]]);
+  });
+});
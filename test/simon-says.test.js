@@ -0,0 +1,98 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSession = require('../models/Game');
+const { ApiError } = require('../middleware/errors');
+const games = require('../utils/games');
+
+const simon = games.getGameType('simon-says');
+
+function startSession(config = simon.difficulties.easy, seed = 11) {
+  const session = new GameSession({ gameType: 'simon-says', seed, status: 'in-progress' });
+  const started = simon.start(session, config);
+  return { session, started };
+}
+
+// Press a pad and record the event like the engine does
+function press(session, body) {
+  const result = simon.event(session, body);
+  games.recordEvent(session, result);
+  return result.response;
+}
+
+// Play the current level back correctly
+function playLevel(session) {
+  let response;
+  for (const pad of session.state.sequence.slice(0, session.state.startSpan + session.state.level - 1)) {
+    response = press(session, { padIndex: pad });
+  }
+  return response;
+}
+
+// A pad that is not in the current level's sequence
+const intruder = (state) => [...Array(state.pads).keys()].find(p => !state.sequence.slice(0, state.startSpan + state.level - 1).includes(p));
+
+describe('simon says', () => {
+  test('generates the same sequence from a seed, without repeats in a row', () => {
+    const a = startSession().session.state.sequence;
+    const b = startSession().session.state.sequence;
+    assert.deepEqual(a, b);
+    assert.equal(a.length, simon.difficulties.easy.maxSpan);
+    a.slice(1).forEach((pad, idx) => assert.notEqual(pad, a[idx]));
+  });
+
+  test('shows startSpan pads on level 1 and one more per level', () => {
+    const { session, started } = startSession();
+    assert.equal(started.sequence.length, 2);
+    const response = playLevel(session);
+    assert.equal(response.levelComplete, true);
+    assert.equal(response.sequence.length, 3);
+    assert.equal(response.spanReached, 2);
+  });
+
+  test('classifies order, intrusion and timeout errors and allows a retry', () => {
+    const { session } = startSession({ ...simon.difficulties.easy, attemptsPerLevel: 3 });
+    const { sequence } = session.state;
+
+    const order = press(session, { padIndex: sequence[1] });
+    assert.equal(order.errorType, 'order');
+    assert.equal(order.retry, true);
+    assert.equal(press(session, { padIndex: intruder(session.state) }).errorType, 'intrusion');
+    const timeout = press(session, { timedOut: true });
+    assert.equal(timeout.errorType, 'timeout');
+    assert.equal(timeout.finished, true);
+    assert.deepEqual(session.state.errorTypes, { order: 1, intrusion: 1, timeout: 1 });
+  });
+
+  test('finishes at maxSpan and refuses further presses', () => {
+    const { session } = startSession({ ...simon.difficulties.easy, maxSpan: 4 });
+    playLevel(session);
+    playLevel(session);
+    const last = playLevel(session);
+    assert.equal(last.finished, true);
+    assert.equal(last.spanReached, 4);
+    assert.throws(() => simon.event(session, { padIndex: 0 }), err => err instanceof ApiError && err.code === 'GAME_FINISHED');
+  });
+
+  test('scores span reached and accuracy on completion', () => {
+    const { session } = startSession({ ...simon.difficulties.easy, maxSpan: 4 });
+    playLevel(session);
+    press(session, { padIndex: intruder(session.state) });
+    playLevel(session);
+    playLevel(session);
+    games.finalizeTiming(session);
+    simon.complete(session, { totalTime: 30 });
+
+    assert.equal(session.metrics.spanReached, 4);
+    assert.equal(session.metrics.levelsCompleted, 3);
+    assert.equal(session.metrics.presses, 10);
+    // 70% span (4 of 4) + 30% accuracy
+    assert.equal(session.score, Math.round(100 * 0.7 + session.accuracy * 0.3));
+    assert.ok(session.accuracy < 100);
+  });
+
+  test('rejects pads outside the board', () => {
+    const { session } = startSession();
+    assert.throws(() => simon.event(session, { padIndex: 4 }), err => err instanceof ApiError && err.status === 400);
+    assert.throws(() => simon.event(session, {}), err => err instanceof ApiError && err.status === 400);
+  });
+});
@@ -0,0 +1,34 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+
+// Run validate() like Express would; resolves to { body, status, nextCalled }
+function run(schema, body) {
+  const req = { body, params: {}, query: {} };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  let nextCalled = false;
+  validate(schema)(req, res, () => { nextCalled = true; });
+  return { body: req.body, status: res.statusCode, nextCalled };
+}
+
+describe('validate', () => {
+  test('trims and lowercases emails, so lookups match the stored address', () => {
+    const login = run(schemas.login, { email: '  Foo@Example.COM ', password: 'secret123' });
+    assert.equal(login.nextCalled, true);
+    assert.equal(login.body.email, 'foo@example.com');
+
+    const register = run(schemas.register, { email: 'Foo@x.com', password: 'secret123' });
+    assert.equal(register.body.email, 'foo@x.com');
+  });
+
+  test('rejects malformed emails', () => {
+    const { status, nextCalled } = run(schemas.login, { email: 'not-an-email', password: 'secret123' });
+    assert.equal(nextCalled, false);
+    assert.equal(status, 400);
+  });
+});
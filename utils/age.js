@@ -0,0 +1,85 @@
+/**
+ * Age helpers for questionnaire eligibility
+ */
+
+/**
+ * Whole calendar months between dob and `at`
+ */
+function ageInMonths(dob, at = new Date()) {
+  if (!dob) return null;
+  const birth = new Date(dob);
+  if (Number.isNaN(birth.getTime())) return null;
+
+  let months = (at.getFullYear() - birth.getFullYear()) * 12 + (at.getMonth() - birth.getMonth());
+  if (at.getDate() < birth.getDate()) months--;
+  return Math.max(0, months);
+}
+
+/**
+ * Parse a free-text age range into months.
+ * Handles "16-30 months", "4 - 11 years", "18+ months", "2 years and up",
+ * "up to 36 months", "under 3 years", "24 months" and mixed units like
+ * "30 months - 5 years". Each bound of a range uses its own unit; a bound without
+ * one takes the unit given elsewhere in the text, and units default to months.
+ * @returns {Object|null} { min, max } (either may be null for open ends), or null if unparseable
+ */
+function parseAgeRange(text) {
+  if (!text || typeof text !== 'string') return null;
+  const s = text.toLowerCase().replace(/–|—/g, '-').trim();
+
+  const unitFactor = (unit) => (/^y/.test(unit) ? 12 : 1);
+  const given = s.match(/\b(years?|yrs?|months?|mos?)\b/);
+  const defaultFactor = given ? unitFactor(given[1]) : 1;
+  const factorOf = (unit) => (unit ? unitFactor(unit) : defaultFactor);
+  const toMonths = (n, unit) => Math.round(Number(n) * factorOf(unit));
+  // "up to 11 years" includes 11 years 11 months
+  const upperMonths = (n, unit) => (factorOf(unit) === 12 && Number.isInteger(Number(n)) ? toMonths(n, unit) + 11 : toMonths(n, unit));
+
+  let m = s.match(/(\d+(?:\.\d+)?)\s*(years?|yrs?|months?|mos?)?\s*(?:-|to)\s*(\d+(?:\.\d+)?)\s*(years?|yrs?|months?|mos?)?/);
+  if (m) return { min: toMonths(m[1], m[2]), max: upperMonths(m[3], m[4]) };
+
+  m = s.match(/(\d+(?:\.\d+)?)\s*(?:\+|(?:\w+\s+)?(?:and|or)\s+(?:up|older|above))/);
+  if (m) return { min: toMonths(m[1]), max: null };
+
+  m = s.match(/(?:under|below|<)\s*(\d+(?:\.\d+)?)/);
+  if (m) return { min: null, max: toMonths(m[1]) - 1 };
+
+  m = s.match(/(?:up to|<=)\s*(\d+(?:\.\d+)?)/);
+  if (m) return { min: null, max: upperMonths(m[1]) };
+
+  m = s.match(/(\d+(?:\.\d+)?)/);
+  if (m) return { min: toMonths(m[1]), max: upperMonths(m[1]) };
+
+  return null;
+}
+
+/**
+ * Structured age limits of a questionnaire (stored ageRangeMonths, or parsed from ageRange)
+ * @returns {Object|null} { min, max }
+ */
+function questionnaireAgeLimits(questionnaire) {
+  const stored = questionnaire && questionnaire.ageRangeMonths;
+  if (stored && (stored.min != null || stored.max != null)) {
+    return { min: stored.min != null ? stored.min : null, max: stored.max != null ? stored.max : null };
+  }
+  return parseAgeRange(questionnaire && questionnaire.ageRange);
+}
+
+/**
+ * Check whether a child of `months` is inside a questionnaire's age range.
+ * Questionnaires without a usable range accept every age.
+ * @returns {Object} { eligible, childAgeMonths, minMonths, maxMonths }
+ */
+function checkAgeEligibility(months, questionnaire) {
+  const limits = questionnaireAgeLimits(questionnaire);
+  const minMonths = limits ? limits.min : null;
+  const maxMonths = limits ? limits.max : null;
+
+  let eligible = true;
+  if (months !== null && minMonths !== null && months < minMonths) eligible = false;
+  if (months !== null && maxMonths !== null && months > maxMonths) eligible = false;
+
+  return { eligible, childAgeMonths: months, minMonths, maxMonths };
+}
+
+module.exports = { ageInMonths, parseAgeRange, questionnaireAgeLimits, checkAgeEligibility };
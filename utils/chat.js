@@ -0,0 +1,97 @@
+/**
+ * Chat helpers shared by the socket server, the chat routes and the dashboards
+ */
+
+const Child = require('../models/Child');
+const User = require('../models/User');
+const ChatMessage = require('../models/ChatMessage');
+const { canAccessChild, isSingleDoctorMode } = require('../middleware/auth');
+const { ApiError } = require('../middleware/errors');
+
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+
+const roomFor = (childId) => `child_${childId}`;
+
+// Every socket also joins its user's room, so routes can reach all of that user's sockets
+const userRoom = (userId) => `user_${userId}`;
+
+/**
+ * Take a user's chat sockets out of a child room (access revoked), or disconnect
+ * them all when no room is given (sessions revoked or account deleted).
+ * `io` is the chat server (app.get('io')); without one there is nothing to evict.
+ */
+function evictUser(io, userId, room) {
+  if (!io) return;
+  const sockets = io.in(userRoom(userId));
+  if (room) sockets.socketsLeave(room);
+  else sockets.disconnectSockets(true);
+}
+
+/**
+ * How long after sending a message its sender may edit or delete it (CHAT_EDIT_WINDOW_MINUTES, default 15)
+ */
+function editWindowMinutes() {
+  const value = Number(process.env.CHAT_EDIT_WINDOW_MINUTES);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_EDIT_WINDOW_MINUTES;
+}
+
+/**
+ * Throw unless the user may still edit or delete the message
+ */
+function checkEditable(message, user, now = new Date()) {
+  if (message.senderId.toString() !== user.id) throw new ApiError(403, 'Only the sender can change a message');
+  if (message.deletedAt) throw new ApiError(409, 'Message has been deleted');
+  if (now - message.timestamp > editWindowMinutes() * 60 * 1000) {
+    throw new ApiError(409, `Messages can only be changed within ${editWindowMinutes()} minutes of sending`, { code: 'EDIT_WINDOW_CLOSED' });
+  }
+}
+
+/**
+ * A message as sent to clients: the edit history and the text of deleted messages are for admins only
+ */
+function toClient(message, user) {
+  const result = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+  if (user.role !== 'admin') {
+    delete result.edits;
+    if (result.deletedAt) result.message = '';
+  }
+  return result;
+}
+
+/**
+ * Users who get a receipt for a message in the child's room: the caretaker and
+ * the doctors who may see the child (every verified doctor in single doctor mode).
+ * Admins can read every room but aren't recipients.
+ */
+async function chatRecipients(child, senderId) {
+  const ids = [child.caretakerId, ...(child.authorizedDoctors || [])].map(id => (id._id || id).toString());
+  if (isSingleDoctorMode()) {
+    const doctors = await User.find({ role: 'doctor', doctorVerified: { $ne: false } }).select('_id').lean();
+    ids.push(...doctors.map(d => d._id.toString()));
+  }
+  return [...new Set(ids)].filter(id => id !== senderId.toString());
+}
+
+/**
+ * Unread messages of a user per child room, limited to children the user can still access
+ * @returns {Promise<Object>} { total, rooms: [{ childId, childName, room, unread, lastMessageAt }] }
+ */
+async function unreadSummary(user) {
+  const counts = await ChatMessage.unreadByChild(user.id);
+  if (counts.length === 0) return { total: 0, rooms: [] };
+
+  const children = await Child.find({ _id: { $in: counts.map(c => c.childId) } }).select('name caretakerId authorizedDoctors').lean();
+  const byId = new Map(children.map(c => [c._id.toString(), c]));
+  const rooms = counts
+    .filter(c => canAccessChild(user, byId.get(c.childId.toString())))
+    .map(c => ({
+      childId: c.childId,
+      childName: byId.get(c.childId.toString()).name,
+      room: roomFor(c.childId),
+      unread: c.unread,
+      lastMessageAt: c.lastMessageAt,
+    }));
+  return { total: rooms.reduce((sum, r) => sum + r.unread, 0), rooms };
+}
+
+module.exports = { roomFor, userRoom, evictUser, editWindowMinutes, checkEditable, toClient, chatRecipients, unreadSummary };
@@ -0,0 +1,72 @@
+/**
+ * Abandoned game sessions
+ *
+ * An in-progress session with no activity (updatedAt) for GAME_SESSION_IDLE_MINUTES
+ * is abandoned: its status changes, everything recorded so far is kept. A
+ * background sweep marks them every GAME_ABANDON_SWEEP_MINUTES; requests that
+ * touch an idle session mark it on the spot, so the sweep interval never
+ * extends the idle window.
+ */
+
+const GameSession = require('../../models/Game');
+
+const DEFAULT_IDLE_MINUTES = 30;
+const DEFAULT_SWEEP_MINUTES = 5;
+
+const minutesFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const idleMinutes = () => minutesFromEnv('GAME_SESSION_IDLE_MINUTES', DEFAULT_IDLE_MINUTES);
+
+const idleCutoff = (now = new Date()) => new Date(now.getTime() - idleMinutes() * 60 * 1000);
+
+// When an in-progress session will be considered abandoned
+const idleExpiresAt = (session) => new Date(new Date(session.updatedAt).getTime() + idleMinutes() * 60 * 1000);
+
+const isIdle = (session, now = new Date()) =>
+  session.status === 'in-progress' && new Date(session.updatedAt) < idleCutoff(now);
+
+/**
+ * Mark one session abandoned (keeps its last activity time as updatedAt)
+ */
+async function abandonSession(session, now = new Date()) {
+  session.status = 'abandoned';
+  session.abandonedAt = now;
+  await session.save({ timestamps: false });
+  return session;
+}
+
+/**
+ * Mark every idle in-progress session abandoned
+ * @returns {Number} sessions marked
+ */
+async function abandonStaleSessions(now = new Date()) {
+  const result = await GameSession.updateMany(
+    { status: 'in-progress', updatedAt: { $lt: idleCutoff(now) } },
+    { $set: { status: 'abandoned', abandonedAt: now } },
+    { timestamps: false }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Run abandonStaleSessions periodically; the timer doesn't keep the process alive
+ */
+function startAbandonmentJob() {
+  const sweepMinutes = minutesFromEnv('GAME_ABANDON_SWEEP_MINUTES', DEFAULT_SWEEP_MINUTES);
+  const sweep = async () => {
+    try {
+      const count = await abandonStaleSessions();
+      if (count > 0) console.log(`[Games] Marked ${count} idle session(s) as abandoned`);
+    } catch (err) {
+      console.error('[Games] Abandoned-session sweep failed:', err.message);
+    }
+  };
+  const timer = setInterval(sweep, sweepMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { idleMinutes, idleExpiresAt, isIdle, abandonSession, abandonStaleSessions, startAbandonmentJob };
@@ -0,0 +1,158 @@
+/**
+ * Adaptive difficulty
+ *
+ * Game types can declare tunable parameters in `adaptive`:
+ *   { <config key>: { min, max, step, harder } }   harder: 1 if a larger value is harder, -1 if smaller is
+ *
+ * The controller is a staircase over the child's completed sessions (newest
+ * first): the next session starts from the parameters of the latest one, and
+ * moves one step harder when the recent sessions at that level all averaged
+ * above the target score band, one step easier below it. The named difficulty
+ * nearest to the parameters is kept on the session, so norms and reports can
+ * still group sessions by difficulty.
+ */
+
+const { mean } = require('./metrics');
+
+const TARGET_BAND = { low: 50, high: 80 }; // average scores in the band keep the level
+const WINDOW = 3; // latest sessions at the current level that count
+const MIN_SESSIONS = 2; // sessions needed at a level before it changes
+
+const decimals = (step) => (String(step).split('.')[1] || '').length;
+
+// Snap to the parameter's step grid (counted from min) and range
+function snap(spec, value) {
+  const steps = Math.round((value - spec.min) / spec.step);
+  const snapped = Number((spec.min + steps * spec.step).toFixed(decimals(spec.step)));
+  return Math.min(spec.max, Math.max(spec.min, snapped));
+}
+
+/**
+ * Parameters a session was played with; sessions from before adaptive difficulty used the preset
+ */
+function sessionConfig(definition, session) {
+  if (session.config && Object.keys(session.config).length > 0) return session.config;
+  return definition.difficulties[session.difficulty] || definition.difficulties.easy;
+}
+
+/**
+ * Preset for a difficulty with parameter overrides applied
+ */
+function resolveConfig(definition, difficulty, overrides = {}) {
+  return { ...definition.difficulties[difficulty], ...overrides };
+}
+
+/**
+ * The named difficulty whose preset is closest to the parameters (each parameter weighted by its range)
+ */
+function nearestDifficulty(definition, config) {
+  const params = Object.entries(definition.adaptive || {});
+  let nearest = 'easy';
+  let best = Infinity;
+  Object.entries(definition.difficulties).forEach(([name, preset]) => {
+    const distance = params.reduce((sum, [key, spec]) => sum + Math.abs(config[key] - preset[key]) / (spec.max - spec.min), 0);
+    if (distance < best) {
+      best = distance;
+      nearest = name;
+    }
+  });
+  return nearest;
+}
+
+const sameLevel = (definition, a, b) => Object.keys(definition.adaptive).every(key => a[key] === b[key]);
+
+/**
+ * Parameters one step harder (direction 1) or easier (-1)
+ */
+function stepConfig(definition, config, direction) {
+  const next = { ...config };
+  Object.entries(definition.adaptive).forEach(([key, spec]) => {
+    next[key] = snap(spec, config[key] + direction * spec.harder * spec.step);
+  });
+  return next;
+}
+
+/**
+ * Check client-supplied parameter overrides against the game type's adaptive parameters
+ * @returns {Array} validation details ({ field, message }), empty when valid
+ */
+function checkConfig(definition, config, prefix = 'body.config.') {
+  const params = definition.adaptive || {};
+  const details = [];
+  Object.entries(config).forEach(([key, value]) => {
+    const spec = params[key];
+    const field = `${prefix}${key}`;
+    if (!spec) {
+      const allowed = Object.keys(params);
+      details.push({ field, message: allowed.length > 0 ? `is not adjustable (allowed: ${allowed.join(', ')})` : 'is not adjustable for this game' });
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      details.push({ field, message: 'must be a number' });
+    } else if (value < spec.min || value > spec.max) {
+      details.push({ field, message: `must be between ${spec.min} and ${spec.max}` });
+    } else if (Number.isInteger(spec.step) && snap(spec, value) !== value) {
+      details.push({ field, message: `must be ${spec.min} plus a multiple of ${spec.step}` });
+    }
+  });
+  return details;
+}
+
+/**
+ * Recommend the next session's difficulty and parameters from completed sessions (newest first)
+ * @returns {Object} { difficulty, config, adjustment: initial | harder | easier | same | fixed, reason, basedOn }
+ */
+function recommendConfig(definition, sessions) {
+  if (!definition.adaptive) {
+    const difficulty = sessions.length > 0 ? sessions[0].difficulty : 'easy';
+    return {
+      difficulty,
+      config: resolveConfig(definition, difficulty),
+      adjustment: 'fixed',
+      reason: `${definition.label} has no adaptive parameters; keeping the latest difficulty`,
+      basedOn: { sessions: 0, averageScore: null },
+    };
+  }
+  if (sessions.length === 0) {
+    return {
+      difficulty: 'easy',
+      config: resolveConfig(definition, 'easy'),
+      adjustment: 'initial',
+      reason: 'No completed sessions yet; starting at the easy preset',
+      basedOn: { sessions: 0, averageScore: null },
+    };
+  }
+
+  const current = sessionConfig(definition, sessions[0]);
+  const atLevel = [];
+  for (const session of sessions) {
+    if (atLevel.length === WINDOW || !sameLevel(definition, sessionConfig(definition, session), current)) break;
+    atLevel.push(session);
+  }
+  const averageScore = Math.round(mean(atLevel.map(s => s.score || 0)));
+  const basedOn = { sessions: atLevel.length, averageScore };
+  const keep = (reason) => ({ difficulty: nearestDifficulty(definition, current), config: { ...current }, adjustment: 'same', reason, basedOn });
+
+  if (atLevel.length < MIN_SESSIONS) {
+    return keep(`Only ${atLevel.length} session at the current level; ${MIN_SESSIONS} are needed before it changes`);
+  }
+
+  let direction = 0;
+  if (averageScore > TARGET_BAND.high) direction = 1;
+  else if (averageScore < TARGET_BAND.low) direction = -1;
+  if (direction === 0) {
+    return keep(`Average score ${averageScore} is within the target band (${TARGET_BAND.low}-${TARGET_BAND.high})`);
+  }
+
+  const config = stepConfig(definition, current, direction);
+  if (sameLevel(definition, config, current)) {
+    return keep(`Average score ${averageScore} is ${direction > 0 ? 'above' : 'below'} the target band, but the parameters are already at their ${direction > 0 ? 'hardest' : 'easiest'}`);
+  }
+  return {
+    difficulty: nearestDifficulty(definition, config),
+    config,
+    adjustment: direction > 0 ? 'harder' : 'easier',
+    reason: `Average score ${averageScore} over the last ${atLevel.length} sessions is ${direction > 0 ? 'above' : 'below'} the target band (${TARGET_BAND.low}-${TARGET_BAND.high})`,
+    basedOn,
+  };
+}
+
+module.exports = { TARGET_BAND, sessionConfig, resolveConfig, nearestDifficulty, stepConfig, checkConfig, recommendConfig };
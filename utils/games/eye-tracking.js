@@ -0,0 +1,180 @@
+/**
+ * Gaze task (eye tracking)
+ *
+ * A seeded sequence of trials the child only watches:
+ *   preference   a social image (face) and a non-social image (geometric pattern)
+ *                side by side; which side is social comes from the seed
+ *   gaze-follow  a face in the centre looks towards one of two objects at `cueAt`
+ *
+ * The client runs the camera-based tracker and posts the samples of each trial
+ * ({ t, x, y, valid? }, t in ms from trial onset, x/y normalized to the screen).
+ * The server computes area-of-interest (AOI) dwell, time to first fixation and
+ * gaze following (see gaze.js). Trials with too little usable data are kept but
+ * left out of the session metrics.
+ */
+
+const { ApiError } = require('../../middleware/errors');
+const { createRng, randomInt, shuffle } = require('./random');
+const { clampPercent } = require('./metrics');
+const { analyzePreferenceTrial, analyzeGazeFollowTrial, summarizeTrials } = require('./gaze');
+
+const SOCIAL_STIMULI = 12; // face-01 .. face-12
+const NON_SOCIAL_STIMULI = 12; // pattern-01 .. pattern-12
+const FOLLOW_OBJECTS = 8; // toy-01 .. toy-08
+const ACTORS = 4; // actor-01 .. actor-04
+
+// Screen layout (normalized); the client draws the stimuli in these boxes
+const PREFERENCE_AOIS = {
+  left: { x0: 0.05, y0: 0.25, x1: 0.45, y1: 0.75 },
+  right: { x0: 0.55, y0: 0.25, x1: 0.95, y1: 0.75 },
+};
+const GAZE_FOLLOW_AOIS = {
+  face: { x0: 0.35, y0: 0.05, x1: 0.65, y1: 0.45 },
+  left: { x0: 0.05, y0: 0.55, x1: 0.35, y1: 0.95 },
+  right: { x0: 0.65, y0: 0.55, x1: 0.95, y1: 0.95 },
+};
+
+const stimulusId = (prefix, n) => `${prefix}-${String(n).padStart(2, '0')}`;
+
+function generateTrials(seed, config) {
+  const rng = createRng(seed);
+  const social = shuffle(rng, Array.from({ length: SOCIAL_STIMULI }, (_, i) => i + 1));
+  const nonSocial = shuffle(rng, Array.from({ length: NON_SOCIAL_STIMULI }, (_, i) => i + 1));
+
+  const preference = Array.from({ length: config.preferenceTrials }, (_, i) => {
+    const socialSide = rng() < 0.5 ? 'left' : 'right';
+    const socialImage = stimulusId('face', social[i % SOCIAL_STIMULI]);
+    const nonSocialImage = stimulusId('pattern', nonSocial[i % NON_SOCIAL_STIMULI]);
+    return {
+      type: 'preference',
+      durationMs: config.trialMs,
+      socialSide,
+      stimuli: socialSide === 'left'
+        ? { left: socialImage, right: nonSocialImage }
+        : { left: nonSocialImage, right: socialImage },
+      aois: PREFERENCE_AOIS,
+    };
+  });
+
+  const gazeFollow = Array.from({ length: config.gazeFollowTrials }, () => {
+    const [first, second] = shuffle(rng, Array.from({ length: FOLLOW_OBJECTS }, (_, i) => i + 1));
+    return {
+      type: 'gaze-follow',
+      durationMs: config.trialMs,
+      cueAt: randomInt(rng, config.cueAtMs[0], config.cueAtMs[1]),
+      cue: rng() < 0.5 ? 'left' : 'right',
+      stimuli: {
+        face: stimulusId('actor', randomInt(rng, 1, ACTORS)),
+        left: stimulusId('toy', first),
+        right: stimulusId('toy', second),
+      },
+      aois: GAZE_FOLLOW_AOIS,
+    };
+  });
+
+  return shuffle(rng, [...preference, ...gazeFollow]).map((trial, id) => ({ id, ...trial }));
+}
+
+// The current trial as sent to the client
+function currentTrial(state) {
+  return state.trials[state.current] || null;
+}
+
+const invalidTrial = (field, message) => new ApiError(400, 'Invalid request', {
+  code: 'VALIDATION_ERROR',
+  details: [{ field: `body.${field}`, message }],
+});
+
+module.exports = {
+  type: 'eye-tracking',
+  label: 'Gaze Task',
+  aliases: ['gaze'],
+  eventAliases: ['trial'],
+  difficulties: {
+    easy: { preferenceTrials: 4, gazeFollowTrials: 2, trialMs: 5000, cueAtMs: [1000, 1500] },
+    medium: { preferenceTrials: 6, gazeFollowTrials: 4, trialMs: 4000, cueAtMs: [800, 1200] },
+    hard: { preferenceTrials: 8, gazeFollowTrials: 6, trialMs: 3000, cueAtMs: [600, 1000] },
+  },
+  eventSchema: {
+    trialId: { type: 'integer', required: true, min: 0 },
+    onsetT: { type: 'number', required: true, min: 0 }, // trial onset on the session timeline
+    samples: {
+      type: 'array',
+      required: true,
+      minLength: 1,
+      maxLength: 2000,
+      items: {
+        type: 'object',
+        properties: {
+          t: { type: 'number', required: true, min: 0 },
+          x: { type: 'number' },
+          y: { type: 'number' },
+          valid: { type: 'boolean' }, // false when the tracker lost the eyes
+        },
+      },
+    },
+  },
+  completeSchema: {
+    totalTime: { type: 'number', min: 0 },
+  },
+  statsMetrics: ['socialPreference', 'ttffSocial', 'gazeFollowSuccess', 'dataQuality'],
+
+  start(session, config) {
+    const trials = generateTrials(session.seed, config);
+    session.totalMatches = trials.filter(t => t.type === 'gaze-follow').length;
+    session.state = { trials, current: 0, results: [] };
+    return { totalTrials: trials.length, trial: currentTrial(session.state) };
+  },
+
+  event(session, { trialId, onsetT, samples }) {
+    const state = session.state;
+    const trial = currentTrial(state);
+    if (!trial) throw new ApiError(409, 'All trials are done; complete the session', { code: 'GAME_FINISHED' });
+    if (trialId !== trial.id) throw new ApiError(409, `Trial ${trialId} is not current (current: ${trial.id})`, { code: 'STALE_TRIAL' });
+
+    const late = samples.findIndex(s => s.t > trial.durationMs);
+    if (late !== -1) throw invalidTrial(`samples[${late}].t`, `must be at most the trial duration (${trial.durationMs} ms)`);
+
+    const analysis = trial.type === 'preference'
+      ? analyzePreferenceTrial(trial, samples)
+      : analyzeGazeFollowTrial(trial, samples);
+    const result = { trialId, type: trial.type, onsetT, ...analysis };
+    state.results.push(result);
+    state.current++;
+
+    // Preference trials have no right answer; an unusable gaze-follow trial is not scored either
+    const correct = trial.type === 'gaze-follow' && analysis.quality.ok ? analysis.followed : null;
+    return {
+      kind: trial.type,
+      correct,
+      data: result,
+      // Raw samples go to the telemetry collection for replay
+      telemetry: samples.map(s => ({ type: 'gaze', t: onsetT + s.t, x: s.x, y: s.y, data: { trialId, valid: s.valid !== false } })),
+      response: { result, finished: !currentTrial(state), trial: currentTrial(state) },
+    };
+  },
+
+  resume(session) {
+    const state = session.state;
+    return {
+      totalTrials: state.trials.length,
+      trialsDone: state.current,
+      trial: currentTrial(state),
+    };
+  },
+
+  complete(session) {
+    const state = session.state || { results: [] };
+    session.metrics = summarizeTrials(state.results);
+    const { socialPreference, gazeFollowSuccess, gazeFollowLatency } = session.metrics;
+
+    // Reaction time is how quickly the child followed the cue; between-trial timing means nothing here
+    session.reactionTime = gazeFollowLatency || 0;
+    session.consistency = 0;
+
+    // Higher = more attention to faces and more gaze following; trials without usable data don't count
+    const parts = [socialPreference !== null ? socialPreference * 100 : null, gazeFollowSuccess].filter(p => p !== null);
+    session.score = parts.length > 0 ? clampPercent(Math.round(parts.reduce((a, b) => a + b, 0) / parts.length)) : 0;
+    return { results: state.results };
+  },
+};
@@ -0,0 +1,170 @@
+/**
+ * Gaze sample analysis for the eye-tracking task
+ *
+ * Samples are { t, x, y, valid? }: t in ms from trial onset, x/y normalized to
+ * the screen (0-1, origin top-left). Areas of interest (AOIs) are rectangles
+ * { x0, y0, x1, y1 } in the same space.
+ */
+
+const { mean } = require('./metrics');
+
+const MIN_FIXATION_MS = 100;
+// Gaps longer than this (tracking loss, blinks) don't count as looking time
+const MAX_SAMPLE_GAP_MS = 100;
+
+const MIN_SAMPLES = 10;
+const MIN_VALID_FRACTION = 0.5;
+const MIN_COVERAGE = 0.5;
+
+const inside = (rect, x, y) => x >= rect.x0 && x <= rect.x1 && y >= rect.y0 && y <= rect.y1;
+
+const isValidSample = (s) => s.valid !== false
+  && Number.isFinite(s.x) && Number.isFinite(s.y)
+  && s.x >= 0 && s.x <= 1 && s.y >= 0 && s.y <= 1;
+
+// Name of the AOI a point falls in, or null
+function aoiAt(aois, x, y) {
+  const hit = Object.entries(aois).find(([, rect]) => inside(rect, x, y));
+  return hit ? hit[0] : null;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Dwell time per AOI, fixations and data quality of one trial.
+ * A fixation is an uninterrupted run of valid samples in one AOI lasting MIN_FIXATION_MS.
+ * @returns {Object} { dwell: { <aoi>: ms }, fixations: [{ aoi, start, duration }], firstFixation: { <aoi>: ms },
+ *                     quality: { samples, validFraction, coverage, ok } }
+ */
+function analyzeSamples(samples, aois, durationMs) {
+  const ordered = samples.filter(s => Number.isFinite(s.t) && s.t >= 0 && s.t <= durationMs).sort((a, b) => a.t - b.t);
+  const valid = ordered.filter(isValidSample);
+
+  // Each valid sample lasts until the next sample (capped), the last one for the typical interval
+  const gaps = ordered.slice(1).map((s, i) => s.t - ordered[i].t).filter(g => g > 0);
+  const typicalGap = Math.min(median(gaps), MAX_SAMPLE_GAP_MS);
+  const durationOf = (i) => {
+    const gap = i + 1 < ordered.length ? ordered[i + 1].t - ordered[i].t : typicalGap;
+    return Math.min(gap, MAX_SAMPLE_GAP_MS);
+  };
+
+  const dwell = Object.fromEntries(Object.keys(aois).map(name => [name, 0]));
+  const fixations = [];
+  let lookedMs = 0;
+  let run = null;
+  const closeRun = () => {
+    if (run && run.aoi && run.duration >= MIN_FIXATION_MS) fixations.push(run);
+    run = null;
+  };
+
+  ordered.forEach((s, i) => {
+    if (!isValidSample(s)) {
+      closeRun();
+      return;
+    }
+    const aoi = aoiAt(aois, s.x, s.y);
+    const duration = durationOf(i);
+    lookedMs += duration;
+    if (aoi) dwell[aoi] += duration;
+
+    if (run && run.aoi === aoi && s.t - run.lastT <= MAX_SAMPLE_GAP_MS) {
+      run.duration = s.t - run.start + duration;
+      run.lastT = s.t;
+    } else {
+      closeRun();
+      run = { aoi, start: s.t, duration, lastT: s.t };
+    }
+  });
+  closeRun();
+
+  const firstFixation = {};
+  fixations.forEach((f) => {
+    if (firstFixation[f.aoi] === undefined) firstFixation[f.aoi] = f.start;
+  });
+
+  const quality = {
+    samples: ordered.length,
+    validFraction: ordered.length > 0 ? Math.round((valid.length / ordered.length) * 100) / 100 : 0,
+    coverage: durationMs > 0 ? Math.round((lookedMs / durationMs) * 100) / 100 : 0,
+  };
+  quality.ok = quality.samples >= MIN_SAMPLES && quality.validFraction >= MIN_VALID_FRACTION && quality.coverage >= MIN_COVERAGE;
+
+  Object.keys(dwell).forEach((name) => { dwell[name] = Math.round(dwell[name]); });
+  return {
+    dwell,
+    fixations: fixations.map(({ aoi, start, duration }) => ({ aoi, start, duration: Math.round(duration) })),
+    firstFixation,
+    quality,
+  };
+}
+
+/**
+ * Preference trial: social vs non-social image side by side
+ */
+function analyzePreferenceTrial(trial, samples) {
+  const { dwell, firstFixation, quality } = analyzeSamples(samples, trial.aois, trial.durationMs);
+  const nonSocialSide = trial.socialSide === 'left' ? 'right' : 'left';
+  const social = dwell[trial.socialSide];
+  const nonSocial = dwell[nonSocialSide];
+
+  return {
+    quality,
+    socialDwellMs: social,
+    nonSocialDwellMs: nonSocial,
+    socialPreference: social + nonSocial > 0 ? Math.round((social / (social + nonSocial)) * 1000) / 1000 : null,
+    ttffSocial: firstFixation[trial.socialSide] ?? null,
+    ttffNonSocial: firstFixation[nonSocialSide] ?? null,
+  };
+}
+
+/**
+ * Gaze-follow trial: after the cue, is the first object fixated the cued one?
+ */
+function analyzeGazeFollowTrial(trial, samples) {
+  const { fixations, quality } = analyzeSamples(samples, trial.aois, trial.durationMs);
+  const first = fixations.find(f => f.start >= trial.cueAt && (f.aoi === 'left' || f.aoi === 'right'));
+
+  return {
+    quality,
+    followed: !!first && first.aoi === trial.cue,
+    lookedAt: first ? first.aoi : null,
+    latency: first ? first.start - trial.cueAt : null,
+  };
+}
+
+/**
+ * Task-level metrics from the per-trial results; trials with poor data quality are left out
+ */
+function summarizeTrials(results) {
+  const usable = results.filter(r => r.quality.ok);
+  const preference = usable.filter(r => r.type === 'preference');
+  const gazeFollow = usable.filter(r => r.type === 'gaze-follow');
+
+  const social = preference.reduce((sum, r) => sum + r.socialDwellMs, 0);
+  const nonSocial = preference.reduce((sum, r) => sum + r.nonSocialDwellMs, 0);
+  const present = (values) => values.filter(v => v !== null && v !== undefined);
+  const roundedMean = (values) => (values.length > 0 ? Math.round(mean(values)) : null);
+  const followLatencies = present(gazeFollow.filter(r => r.followed).map(r => r.latency));
+
+  return {
+    socialPreference: social + nonSocial > 0 ? Math.round((social / (social + nonSocial)) * 1000) / 1000 : null,
+    socialDwellMs: social,
+    nonSocialDwellMs: nonSocial,
+    ttffSocial: roundedMean(present(preference.map(r => r.ttffSocial))),
+    ttffNonSocial: roundedMean(present(preference.map(r => r.ttffNonSocial))),
+    gazeFollowSuccess: gazeFollow.length > 0
+      ? Math.round((gazeFollow.filter(r => r.followed).length / gazeFollow.length) * 100)
+      : null,
+    gazeFollowLatency: roundedMean(followLatencies),
+    validTrials: usable.length,
+    excludedTrials: results.length - usable.length,
+    dataQuality: results.length > 0 ? Math.round(mean(results.map(r => r.quality.validFraction)) * 100) / 100 : 0,
+  };
+}
+
+module.exports = { MIN_FIXATION_MS, aoiAt, analyzeSamples, analyzePreferenceTrial, analyzeGazeFollowTrial, summarizeTrials };
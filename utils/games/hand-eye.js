@@ -0,0 +1,209 @@
+/**
+ * Hand-eye coordination (tap the target) game
+ *
+ * Targets come from the session seed: position and size (normalized to the play
+ * area, 0-1) and the pause before each one appears. One target is active at a
+ * time. Times are milliseconds on the session timeline (0 = start response);
+ * the client reports the time `t` and position of each tap and the server works
+ * out reaction time, distance from the target centre and hit/miss.
+ *
+ * Taps under MIN_REACTION_MS after the target appears (or before it appears)
+ * are anticipations: recorded and flagged, but not scored, and the target
+ * stays up. A target not hit within its lifetime is a timeout miss.
+ */
+
+const { ApiError } = require('../../middleware/errors');
+const { createRng, randomInt } = require('./random');
+const { mean, consistencyScore, clampPercent } = require('./metrics');
+
+const MIN_REACTION_MS = 100;
+const FIRST_TARGET_DELAY_MS = 1000;
+// A tap reported this long after it happened (server time) is flagged as a delayed report
+const REPORT_DELAY_FLAG_MS = 5000;
+const CLOCK_SKEW_MS = 2000;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const elapsed = (session, now = Date.now()) => now - new Date(session.createdAt).getTime();
+
+function generateTargets(seed, config) {
+  const rng = createRng(seed);
+  return Array.from({ length: config.targets }, (_, id) => {
+    const size = round(config.radius * (0.8 + 0.4 * rng()));
+    return {
+      id,
+      x: round(size + rng() * (1 - 2 * size)),
+      y: round(size + rng() * (1 - 2 * size)),
+      size, // radius
+      gapMs: randomInt(rng, config.gapMs[0], config.gapMs[1]),
+    };
+  });
+}
+
+// The active target as sent to the client (no upcoming ones)
+function activeTarget(state) {
+  const target = state.targets[state.current];
+  if (!target) return null;
+  return { id: target.id, x: target.x, y: target.y, size: target.size, spawnT: state.spawnT, lifetimeMs: state.lifetimeMs };
+}
+
+// Move on to the next target, which appears after its pause
+function advance(state, resolvedT) {
+  state.current++;
+  const next = state.targets[state.current];
+  state.spawnT = next ? Math.round(resolvedT + next.gapMs) : null;
+}
+
+const invalidTap = (field, message) => new ApiError(400, 'Invalid request', {
+  code: 'VALIDATION_ERROR',
+  details: [{ field: `body.${field}`, message }],
+});
+
+module.exports = {
+  type: 'hand-coordination',
+  label: 'Hand-Eye Coordination',
+  aliases: ['hand-eye'],
+  eventAliases: ['hit'],
+  hiddenState: true,
+  difficulties: {
+    easy: { targets: 10, radius: 0.09, lifetimeMs: 3000, gapMs: [800, 1600] },
+    medium: { targets: 15, radius: 0.07, lifetimeMs: 2200, gapMs: [600, 1300] },
+    hard: { targets: 20, radius: 0.05, lifetimeMs: 1600, gapMs: [400, 1000] },
+  },
+  adaptive: {
+    radius: { min: 0.04, max: 0.12, step: 0.01, harder: -1 },
+    lifetimeMs: { min: 1200, max: 3600, step: 200, harder: -1 },
+  },
+  eventSchema: {
+    targetId: { type: 'integer', required: true, min: 0 },
+    t: { type: 'number', min: 0 }, // tap time on the session timeline
+    x: { type: 'number', min: 0, max: 1 },
+    y: { type: 'number', min: 0, max: 1 },
+    missed: { type: 'boolean' }, // the target timed out without a tap
+  },
+  completeSchema: {
+    totalTime: { type: 'number', required: true, min: 0 },
+  },
+  statsMetrics: ['meanDistance', 'anticipations'],
+
+  start(session, config) {
+    session.totalMatches = config.targets;
+    session.state = {
+      targets: generateTargets(session.seed, config),
+      lifetimeMs: config.lifetimeMs,
+      current: 0,
+      spawnT: FIRST_TARGET_DELAY_MS,
+    };
+    return { totalTargets: config.targets, elapsed: 0, target: activeTarget(session.state) };
+  },
+
+  event(session, { targetId, t, x, y, missed }) {
+    const state = session.state;
+    if (!state || !state.targets) {
+      throw new ApiError(409, 'Session has no server-side targets; start a new game', { code: 'LEGACY_SESSION' });
+    }
+    const target = state.targets[state.current];
+    if (!target) throw new ApiError(409, 'All targets are done; complete the session', { code: 'GAME_FINISHED' });
+    if (targetId !== target.id) throw new ApiError(409, `Target ${targetId} is not active (current: ${target.id})`, { code: 'STALE_TARGET' });
+
+    const now = elapsed(session);
+    const expiresT = state.spawnT + state.lifetimeMs;
+    const base = { targetId, spawnT: state.spawnT };
+
+    if (missed) {
+      if (now + CLOCK_SKEW_MS < expiresT) throw invalidTap('missed', 'target has not expired yet');
+      advance(state, expiresT);
+      return {
+        kind: 'miss',
+        correct: false,
+        data: { ...base, reason: 'timeout' },
+        response: { hit: false, reason: 'timeout', finished: !activeTarget(state), target: activeTarget(state) },
+      };
+    }
+
+    if (t === undefined) throw invalidTap('t', 'is required unless missed is true');
+    if (x === undefined || y === undefined) throw invalidTap(x === undefined ? 'x' : 'y', 'is required unless missed is true');
+    if (t > now + CLOCK_SKEW_MS) throw invalidTap('t', 'is later than the current session time');
+
+    const flags = [];
+    if (now - t > REPORT_DELAY_FLAG_MS) flags.push('delayed-report');
+
+    const reactionTime = Math.round(t - state.spawnT);
+    const distance = Math.hypot(x - target.x, y - target.y) / target.size; // 0 = centre, 1 = edge
+    const data = { ...base, t, x, y, reactionTime, distance: round(distance), flags };
+
+    // Too fast to be a response to the target: keep for review, don't score, target stays up
+    if (reactionTime < MIN_REACTION_MS) {
+      flags.push('anticipation');
+      return {
+        kind: 'tap',
+        correct: false,
+        countsAsMove: false,
+        data,
+        response: { hit: false, reason: 'anticipation', flags, target: activeTarget(state) },
+      };
+    }
+
+    const late = t > expiresT;
+    const hit = !late && distance <= 1;
+    if (!hit) data.reason = late ? 'late' : 'outside';
+    advance(state, late ? expiresT : t);
+
+    return {
+      kind: hit ? 'hit' : 'miss',
+      correct: hit,
+      data,
+      response: {
+        hit,
+        reason: data.reason,
+        reactionTime,
+        distance: round(distance),
+        flags,
+        finished: !activeTarget(state),
+        target: activeTarget(state),
+      },
+    };
+  },
+
+  // The interrupted target is shown again after the first-target delay; `elapsed` re-syncs the client timeline
+  resume(session) {
+    const state = session.state;
+    const now = elapsed(session);
+    if (state.targets[state.current]) state.spawnT = now + FIRST_TARGET_DELAY_MS;
+    return {
+      totalTargets: session.totalMatches,
+      hits: session.correctMatches,
+      misses: session.errorCount,
+      elapsed: now,
+      target: activeTarget(state),
+    };
+  },
+
+  complete(session) {
+    const hits = session.events.filter(e => e.kind === 'hit');
+    const misses = session.events.filter(e => e.kind === 'miss');
+    const reactionTimes = hits.map(e => e.data.reactionTime);
+    const distances = hits.map(e => e.data.distance);
+
+    // Reaction to the target replaces the between-tap timing, which includes the pauses
+    session.reactionTime = Math.round(mean(reactionTimes));
+    session.consistency = reactionTimes.length > 0 ? consistencyScore(reactionTimes) : 0;
+
+    session.metrics = {
+      hits: hits.length,
+      misses: misses.length,
+      timeouts: misses.filter(e => e.data.reason === 'timeout' || e.data.reason === 'late').length,
+      anticipations: session.events.filter(e => e.kind === 'tap').length,
+      meanDistance: distances.length > 0 ? round(mean(distances)) : null,
+      flaggedEvents: session.events.filter(e => e.data && e.data.flags && e.data.flags.length > 0).length,
+    };
+
+    // Precision: how close to the centre the hits were; misses count as 0
+    const precisionScore = clampPercent(mean([...distances.map(d => (1 - d) * 100), ...misses.map(() => 0)]));
+    const speedScore = hits.length > 0 ? Math.max(0, 100 - Math.round(session.reactionTime / 20)) : 0;
+    const completionScore = session.totalMatches > 0 ? clampPercent((hits.length / session.totalMatches) * 100) : 0;
+
+    session.score = Math.round((precisionScore + speedScore + completionScore) / 3);
+    return { reactionTime: session.reactionTime };
+  },
+};
@@ -0,0 +1,113 @@
+/**
+ * Game-type registry and shared session engine
+ *
+ * Each game type is a plain definition object registered here:
+ *   type          GameSession.gameType value
+ *   label         display name for reports
+ *   aliases       URL slugs served under /api/games/:gameType (the type itself is always one)
+ *   eventAliases  extra names for the event endpoint, e.g. "flip" → /api/games/memory/flip
+ *   hiddenState   true when the seed reveals content the player must not know in advance
+ *                 (board layout, upcoming targets); only admins may then choose the seed
+ *   difficulties  { easy, medium, hard } → per-difficulty config passed to start()
+ *   adaptive      optional { <config key>: { min, max, step, harder } } parameters the
+ *                 adaptive controller may tune between sessions (see adaptive.js)
+ *   eventSchema / completeSchema  body rules (middleware/validate.js format)
+ *   start(session, config)   set up the session (session.seed is already set, hidden
+ *                            progress goes in session.state); returns extra start response fields
+ *   event(session, body)     interpret one event; returns { kind, correct, data, countsAsMove?, response? }
+ *                            (response holds extra fields, merged after the counters are updated;
+ *                            telemetry holds raw input to store with the session telemetry, e.g. gaze samples)
+ *   complete(session, body)  compute session.score and metrics; returns extra response fields
+ *   resume(session)          what the client needs to continue an interrupted session
+ *   statsMetrics  names in session.metrics averaged by the stats endpoint
+ *   summarize(games)  optional extra stats over completed sessions
+ *
+ * Definitions throw ApiError for invalid moves (wrong state, out-of-range input).
+ */
+
+const { intervalsBetween, consistencyScore, timingSummary, calculateTrend, mean } = require('./metrics');
+
+const registry = new Map(); // slug → definition
+
+function register(definition) {
+  [definition.type, ...(definition.aliases || [])].forEach(slug => registry.set(slug, definition));
+  return definition;
+}
+
+const getGameType = (slug) => registry.get(slug) || null;
+
+const listGameTypes = () => [...new Set(registry.values())];
+
+// Events that count as moves (flips, hits, steps) in the order they were played
+const moveEvents = (session) => (session.events || []).filter(e => e.countsAsMove !== false);
+
+/**
+ * Append an event and keep the running counters (moves, correct/error counts,
+ * accuracy, timing between moves) up to date
+ */
+function recordEvent(session, { kind, correct, data, countsAsMove = true, at = new Date() }) {
+  session.events.push({ kind, at, correct, data, countsAsMove });
+  if (!countsAsMove) return;
+
+  // correct: null marks a move that is neither right nor wrong (e.g. the first card of a pair)
+  session.moves++;
+  if (correct === true) session.correctMatches++;
+  else if (correct === false) session.errorCount++;
+
+  const { average, fastest, slowest } = timingSummary(intervalsBetween(moveEvents(session)));
+  if (average > 0) {
+    session.gameDetails.averageTimePerMove = average;
+    session.gameDetails.fastestMove = fastest;
+    session.gameDetails.slowestMove = slowest;
+    session.reactionTime = Math.round(average);
+  }
+  const judged = session.correctMatches + session.errorCount;
+  if (judged > 0) session.accuracy = Math.round((session.correctMatches / judged) * 100);
+}
+
+/**
+ * Consistency of the timing between moves, set when a session completes
+ */
+function finalizeTiming(session) {
+  const times = intervalsBetween(moveEvents(session));
+  if (times.length > 0) session.consistency = consistencyScore(times);
+}
+
+/**
+ * Stats over completed sessions (newest first), in the shape every game type shares
+ */
+function summarizeStats(games, definition) {
+  if (games.length === 0) {
+    return {
+      averageScore: 0,
+      averageAccuracy: 0,
+      averageReactionTime: 0,
+      totalGames: 0,
+      bestScore: 0,
+    };
+  }
+
+  const average = (pick) => Math.round(mean(games.map(pick)));
+  const stats = {
+    averageScore: average(g => g.score || 0),
+    averageAccuracy: average(g => g.accuracy || 0),
+    averageReactionTime: average(g => g.reactionTime || 0),
+    averageConsistency: average(g => g.consistency || 0),
+    totalGames: games.length,
+    bestScore: Math.max(...games.map(g => g.score || 0)),
+    improvementTrend: calculateTrend(games),
+  };
+
+  (definition.statsMetrics || []).forEach((metric) => {
+    const values = games.map(g => g.metrics && g.metrics[metric]).filter(v => typeof v === 'number');
+    if (values.length > 0) stats[`average${metric[0].toUpperCase()}${metric.slice(1)}`] = Math.round(mean(values) * 10) / 10;
+  });
+  return definition.summarize ? { ...stats, ...definition.summarize(games) } : stats;
+}
+
+register(require('./memory'));
+register(require('./hand-eye'));
+register(require('./simon-says'));
+register(require('./eye-tracking'));
+
+module.exports = { register, getGameType, listGameTypes, recordEvent, finalizeTiming, summarizeStats };
@@ -0,0 +1,142 @@
+/**
+ * Memory (card matching) game
+ *
+ * The board is shuffled from the session seed at start and kept on the server.
+ * Flips are played in turns of two cards: the first flip only reveals a card,
+ * the second decides whether the turn matched. The client only sees the face
+ * of each card it flips; the whole board is revealed when the session completes.
+ */
+
+const { ApiError } = require('../../middleware/errors');
+const { createRng, shuffle } = require('./random');
+const { clampPercent } = require('./metrics');
+
+const invalidCard = (message) => new ApiError(400, 'Invalid request', {
+  code: 'VALIDATION_ERROR',
+  details: [{ field: 'body.cardIndex', message }],
+});
+
+// Server-side state of the session; sessions from before server-side boards have none
+function boardState(session) {
+  const state = session.state;
+  if (!state || !state.board) {
+    throw new ApiError(409, 'Session has no server-side board; start a new game', { code: 'LEGACY_SESSION' });
+  }
+  return state;
+}
+
+module.exports = {
+  type: 'memory',
+  label: 'Memory Game',
+  eventAliases: ['flip'],
+  hiddenState: true,
+  difficulties: {
+    easy: { cards: 8 },
+    medium: { cards: 12 },
+    hard: { cards: 16 },
+  },
+  adaptive: {
+    cards: { min: 4, max: 20, step: 2, harder: 1 },
+  },
+  eventSchema: {
+    cardIndex: { type: 'integer', required: true, min: 0 },
+  },
+  completeSchema: {
+    totalTime: { type: 'number', required: true, min: 0 },
+  },
+  statsMetrics: ['memoryLapses'],
+
+  start(session, config) {
+    const pairs = config.cards / 2;
+    const faces = Array.from({ length: pairs }, (_, face) => [face, face]).flat();
+
+    session.totalMatches = pairs;
+    session.state = {
+      board: shuffle(createRng(session.seed), faces),
+      matched: [],
+      seen: [],
+      openCard: null,
+      turns: 0,
+      memoryLapses: 0,
+    };
+    return { totalCards: config.cards };
+  },
+
+  event(session, { cardIndex }) {
+    const state = boardState(session);
+    if (state.matched.length === state.board.length) {
+      throw new ApiError(409, 'All pairs are matched; complete the session', { code: 'GAME_FINISHED' });
+    }
+    if (cardIndex >= state.board.length) throw invalidCard(`must be at most ${state.board.length - 1}`);
+    if (state.matched.includes(cardIndex)) throw invalidCard('is already matched');
+    if (state.openCard === cardIndex) throw invalidCard('is already face up');
+
+    const face = state.board[cardIndex];
+
+    // First card of a turn: just reveal it
+    if (state.openCard === null) {
+      state.openCard = cardIndex;
+      if (!state.seen.includes(cardIndex)) state.seen.push(cardIndex);
+      return { kind: 'flip', correct: null, data: { cardIndex, face }, response: { face } };
+    }
+
+    const firstCard = state.openCard;
+    const match = state.board[firstCard] === face;
+    state.openCard = null;
+    state.turns++;
+
+    if (match) {
+      state.matched.push(firstCard, cardIndex);
+      session.gameDetails.matchedPairs++;
+    } else {
+      // The partner of one of the two cards had already been seen: the child could have known
+      const partnerSeen = [firstCard, cardIndex].some(idx => state.seen.some(
+        other => other !== firstCard && other !== cardIndex && state.board[other] === state.board[idx]
+      ));
+      if (partnerSeen) state.memoryLapses++;
+    }
+    if (!state.seen.includes(cardIndex)) state.seen.push(cardIndex);
+
+    return {
+      kind: 'flip',
+      correct: match,
+      data: { cardIndex, face, pairedWith: firstCard },
+      response: {
+        face,
+        match,
+        pairedWith: firstCard,
+        matchedPairs: session.gameDetails.matchedPairs,
+        finished: state.matched.length === state.board.length,
+      },
+    };
+  },
+
+  resume(session) {
+    const state = boardState(session);
+    return {
+      totalCards: state.board.length,
+      matched: state.matched.map(idx => ({ cardIndex: idx, face: state.board[idx] })),
+      openCard: state.openCard === null ? null : { cardIndex: state.openCard, face: state.board[state.openCard] },
+      matchedPairs: session.gameDetails.matchedPairs,
+    };
+  },
+
+  complete(session, { totalTime }) {
+    const state = session.state || {};
+
+    // Composite of accuracy, speed and flips vs. the 2-flips-per-pair optimum
+    const accuracyScore = session.accuracy || 0;
+    const speedScore = Math.max(0, 100 - Math.round(totalTime / 10));
+    const optimalMoves = session.totalMatches * 2;
+    const efficiencyScore = session.moves > 0 ? clampPercent((optimalMoves / session.moves) * 100) : 0;
+
+    session.score = Math.round((accuracyScore + speedScore + efficiencyScore) / 3);
+    session.metrics = {
+      pairs: session.totalMatches,
+      matchedPairs: session.gameDetails.matchedPairs,
+      turns: state.turns || 0,
+      memoryLapses: state.memoryLapses || 0,
+    };
+    return { board: state.board };
+  },
+};
@@ -0,0 +1,60 @@
+/**
+ * Metric helpers shared by every game type
+ */
+
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+function standardDeviation(values) {
+  if (values.length === 0) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / values.length);
+}
+
+/**
+ * Milliseconds between consecutive events
+ */
+function intervalsBetween(events = []) {
+  const times = [];
+  for (let i = 1; i < events.length; i++) {
+    const gap = new Date(events[i].at) - new Date(events[i - 1].at);
+    if (gap > 0) times.push(gap);
+  }
+  return times;
+}
+
+/**
+ * 0-100, lower variance in timings = higher consistency
+ */
+function consistencyScore(times) {
+  if (times.length === 0) return 0;
+  return Math.max(0, 100 - Math.round(standardDeviation(times) / 10));
+}
+
+/**
+ * { average, fastest, slowest } of a list of timings
+ */
+function timingSummary(times) {
+  if (times.length === 0) return { average: 0, fastest: 0, slowest: 0 };
+  return { average: mean(times), fastest: Math.min(...times), slowest: Math.max(...times) };
+}
+
+/**
+ * Percent change of the recent 5 sessions vs the 5 before them (games newest first)
+ */
+function calculateTrend(games, metric = 'score') {
+  if (games.length < 2) return 0;
+  const recent = games.slice(0, Math.min(5, games.length));
+  const older = games.slice(Math.min(5, games.length), Math.min(10, games.length));
+
+  if (older.length === 0) return 0;
+
+  const recentAvg = mean(recent.map(g => g[metric] || 0));
+  const olderAvg = mean(older.map(g => g[metric] || 0));
+  if (olderAvg === 0) return 0;
+
+  return Math.round(((recentAvg - olderAvg) / olderAvg) * 100);
+}
+
+const clampPercent = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+module.exports = { mean, standardDeviation, intervalsBetween, consistencyScore, timingSummary, calculateTrend, clampPercent };
@@ -0,0 +1,205 @@
+/**
+ * Age-normed game performance
+ *
+ * Norms are per (gameType, metric, difficulty, age band) means and standard
+ * deviations. A session is compared against the norm for the child's age when
+ * it was played; z-scores are oriented so that negative always means worse
+ * than peers (reaction times and other lower-is-better metrics are flipped).
+ */
+
+const { ageInMonths, parseAgeRange } = require('../age');
+const { getGameType } = require('./index');
+const { mean } = require('./metrics');
+
+const DEFAULT_FLAG_PERCENTILE = 10;
+const OPEN_MAX_MONTHS = 1200; // "48+ months" bands
+
+// Metrics where a smaller value is the better performance, unless the CSV says otherwise
+const LOWER_IS_BETTER = ['reactionTime', 'stepLatency', 'memoryLapses', 'errorCount', 'meanDistance', 'anticipations', 'ttffSocial', 'gazeFollowLatency'];
+
+const SESSION_FIELDS = ['score', 'accuracy', 'reactionTime', 'consistency'];
+
+/**
+ * Percentile below which a metric is flagged (GAME_NORM_FLAG_PERCENTILE, default 10)
+ */
+function flagPercentile() {
+  const value = Number(process.env.GAME_NORM_FLAG_PERCENTILE);
+  return Number.isFinite(value) && value > 0 && value < 100 ? value : DEFAULT_FLAG_PERCENTILE;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Value of a metric on a session: top-level fields first, then session.metrics
+ */
+function metricValue(session, metric) {
+  const value = SESSION_FIELDS.includes(metric) ? session[metric] : session.metrics && session.metrics[metric];
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Norm for a metric at an age; a difficulty-specific band wins over 'any'
+ */
+function findNorm(norms, { metric, difficulty, ageMonths }) {
+  const matches = norms.filter(n => n.metric === metric && ageMonths >= n.minMonths && ageMonths <= n.maxMonths);
+  return matches.find(n => n.difficulty === difficulty) || matches.find(n => n.difficulty === 'any') || null;
+}
+
+/**
+ * z-score (negative = worse than peers) and percentile of one value
+ */
+function scoreAgainstNorm(value, norm) {
+  if (!norm.sd) return null;
+  const z = ((value - norm.mean) / norm.sd) * (norm.higherIsBetter === false ? -1 : 1);
+  return { zScore: round(z, 2), percentile: round(normalCdf(z) * 100) };
+}
+
+/**
+ * Compare a child's completed sessions with the norms.
+ * Each metric reports the mean raw value, the mean z-score over every session
+ * that has a norm for its age and difficulty, and the percentile of that z.
+ * @returns {Object} { available, ageMonths, flagBelowPercentile, metrics: { <metric>: {...} }, flagged: [metric] }
+ */
+function compareToNorms(sessions, norms, dob, { flagBelow = flagPercentile() } = {}) {
+  const result = { available: false, ageMonths: ageInMonths(dob), flagBelowPercentile: flagBelow, metrics: {}, flagged: [] };
+  if (result.ageMonths === null) {
+    result.reason = 'Child has no date of birth';
+    return result;
+  }
+  if (norms.length === 0) {
+    result.reason = 'No norms imported for this game';
+    return result;
+  }
+
+  const metrics = [...new Set(norms.map(n => n.metric))];
+  metrics.forEach((metric) => {
+    const compared = [];
+    sessions.forEach((session) => {
+      const value = metricValue(session, metric);
+      if (value === null) return;
+      const ageMonths = ageInMonths(dob, new Date(session.createdAt || Date.now()));
+      const norm = findNorm(norms, { metric, difficulty: session.difficulty, ageMonths });
+      const scored = norm && scoreAgainstNorm(value, norm);
+      if (scored) compared.push({ value, ...scored, norm });
+    });
+    if (compared.length === 0) return;
+
+    const zScore = round(mean(compared.map(c => c.zScore)), 2);
+    const percentile = round(normalCdf(zScore) * 100);
+    const latest = compared[0];
+    result.metrics[metric] = {
+      value: round(mean(compared.map(c => c.value))),
+      zScore,
+      percentile,
+      flagged: percentile < flagBelow,
+      sessions: compared.length,
+      latest: {
+        value: latest.value,
+        zScore: latest.zScore,
+        percentile: latest.percentile,
+        band: { minMonths: latest.norm.minMonths, maxMonths: latest.norm.maxMonths, difficulty: latest.norm.difficulty },
+      },
+    };
+    if (percentile < flagBelow) result.flagged.push(metric);
+  });
+
+  result.available = Object.keys(result.metrics).length > 0;
+  if (!result.available) result.reason = 'No norms match this child\'s age and sessions';
+  return result;
+}
+
+/**
+ * Turn CSV records into norm documents.
+ * Columns: gameType, metric, difficulty?, minMonths + maxMonths (or ageBand, e.g. "36-47 months"),
+ * mean, sd, n?, direction? (higher | lower), source?
+ * @returns {Object} { norms, details } - details lists every invalid cell as { field: "row N.column", message }
+ */
+function parseNormRows(records) {
+  const norms = [];
+  const details = [];
+
+  records.forEach((record, idx) => {
+    const row = `row ${idx + 2}`; // header is line 1
+    const problems = [];
+    const number = (column, { required = true } = {}) => {
+      const raw = record[column];
+      if (raw === undefined || raw === '') {
+        if (required) problems.push({ field: `${row}.${column}`, message: 'is required' });
+        return null;
+      }
+      const value = Number(raw);
+      if (!Number.isFinite(value)) problems.push({ field: `${row}.${column}`, message: 'must be a number' });
+      return value;
+    };
+
+    const definition = getGameType(record.gameType);
+    if (!definition) problems.push({ field: `${row}.gameType`, message: `unknown game type "${record.gameType || ''}"` });
+
+    const metric = record.metric;
+    if (!metric || !/^[A-Za-z]\w*$/.test(metric)) problems.push({ field: `${row}.metric`, message: 'must be a metric name' });
+
+    const difficulty = (record.difficulty || 'any').toLowerCase();
+    if (!['easy', 'medium', 'hard', 'any'].includes(difficulty)) {
+      problems.push({ field: `${row}.difficulty`, message: 'must be one of: easy, medium, hard, any' });
+    }
+
+    let minMonths;
+    let maxMonths;
+    if (record.ageBand) {
+      const band = parseAgeRange(record.ageBand);
+      if (!band) problems.push({ field: `${row}.ageBand`, message: 'is not a recognizable age range' });
+      else {
+        minMonths = band.min != null ? band.min : 0;
+        maxMonths = band.max != null ? band.max : OPEN_MAX_MONTHS;
+      }
+    } else {
+      minMonths = number('minMonths');
+      maxMonths = number('maxMonths');
+    }
+    if (minMonths != null && maxMonths != null && minMonths > maxMonths) {
+      problems.push({ field: `${row}.maxMonths`, message: 'must not be below minMonths' });
+    }
+
+    const normMean = number('mean');
+    const sd = number('sd');
+    if (sd !== null && !(sd > 0)) problems.push({ field: `${row}.sd`, message: 'must be greater than 0' });
+    const n = number('n', { required: false });
+
+    const direction = (record.direction || '').toLowerCase();
+    if (direction && !['higher', 'lower'].includes(direction)) {
+      problems.push({ field: `${row}.direction`, message: 'must be higher or lower' });
+    }
+
+    if (problems.length > 0) {
+      details.push(...problems);
+      return;
+    }
+    const norm = {
+      gameType: definition.type,
+      metric,
+      difficulty,
+      minMonths,
+      maxMonths,
+      mean: normMean,
+      sd,
+      n: n === null ? undefined : n,
+      higherIsBetter: direction ? direction === 'higher' : !LOWER_IS_BETTER.includes(metric),
+      source: record.source || undefined,
+    };
+    Object.keys(norm).forEach((key) => norm[key] === undefined && delete norm[key]);
+    norms.push(norm);
+  });
+
+  return { norms, details };
+}
+
+module.exports = { flagPercentile, normalCdf, metricValue, findNorm, scoreAgainstNorm, compareToNorms, parseNormRows };
@@ -0,0 +1,39 @@
+/**
+ * Seeded pseudo-random numbers for reproducible game content
+ * (sequences, boards, target spawns). The seed is stored on the session so a
+ * session can be regenerated exactly.
+ */
+
+const crypto = require('crypto');
+
+const randomSeed = () => crypto.randomBytes(4).readUInt32BE(0);
+
+/**
+ * mulberry32: small, fast and good enough for game content (not for secrets)
+ * @returns {Function} () → float in [0, 1)
+ */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Integer in [min, max]
+const randomInt = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
+
+// Fisher-Yates shuffle of a copy
+function shuffle(rng, items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+module.exports = { randomSeed, createRng, randomInt, shuffle };
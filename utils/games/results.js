@@ -0,0 +1,45 @@
+/**
+ * Per-game summaries of GameAssessment results, for progress tracking and reports
+ */
+
+const { mean, calculateTrend } = require('./metrics');
+const { getGameType } = require('./index');
+
+/**
+ * @param {Array} results GameAssessment documents, newest first
+ * @returns {Object} { <gameType>: { gameType, label, sessionCount, averageScore, bestScore, latestScore, improvementTrend, sessions } }
+ */
+function summarizeResults(results) {
+  const byGame = {};
+  results.forEach((r) => {
+    if (!byGame[r.gameType]) {
+      const definition = getGameType(r.gameType);
+      byGame[r.gameType] = { gameType: r.gameType, label: definition ? definition.label : r.gameType, sessions: [] };
+    }
+    byGame[r.gameType].sessions.push({
+      _id: r._id,
+      gameSessionId: r.gameSessionId,
+      date: r.completedAt,
+      difficulty: r.difficulty,
+      score: r.score,
+      accuracy: r.accuracy,
+      reactionTime: r.reactionTime,
+      consistency: r.consistency,
+      metrics: r.metrics,
+      assessmentId: r.assessmentId,
+      attemptNumber: r.attemptNumber
+    });
+  });
+
+  Object.values(byGame).forEach((game) => {
+    const scores = game.sessions.map(s => s.score || 0);
+    game.sessionCount = game.sessions.length;
+    game.averageScore = Math.round(mean(scores));
+    game.bestScore = Math.max(...scores);
+    game.latestScore = scores[0];
+    game.improvementTrend = calculateTrend(game.sessions);
+  });
+  return byGame;
+}
+
+module.exports = { summarizeResults };
@@ -0,0 +1,205 @@
+/**
+ * Simon Says (sequence memory) game
+ *
+ * The whole sequence is generated from the session seed at start; level n asks
+ * the child to reproduce its first startSpan + n - 1 pads. Presses are checked
+ * one step at a time. A failed level can be retried until attemptsPerLevel is
+ * used up, which ends the sequence; so does reproducing maxSpan pads.
+ *
+ * Error types:
+ *   order      pressed a pad from the sequence, but not the one due at this step
+ *   intrusion  pressed a pad that is not in the sequence at all
+ *   timeout    no press before the client's response window ran out
+ */
+
+const { ApiError } = require('../../middleware/errors');
+const { createRng, randomInt } = require('./random');
+const { mean, consistencyScore, clampPercent } = require('./metrics');
+
+const ERROR_TYPES = ['order', 'intrusion', 'timeout'];
+
+// Never the same pad twice in a row, so every step is visible as a separate flash
+function generateSequence(seed, length, pads) {
+  const rng = createRng(seed);
+  const sequence = [];
+  while (sequence.length < length) {
+    const pad = randomInt(rng, 0, pads - 1);
+    if (pad !== sequence[sequence.length - 1]) sequence.push(pad);
+  }
+  return sequence;
+}
+
+const spanFor = (state) => state.startSpan + state.level - 1;
+const currentSequence = (state) => state.sequence.slice(0, spanFor(state));
+
+// Start the current level (or a retry of it) now
+function presentLevel(state, now) {
+  state.position = 0;
+  state.presentedAt = now;
+  state.lastPressAt = null;
+}
+
+function classifyError(state, padIndex, timedOut) {
+  if (timedOut) return 'timeout';
+  return currentSequence(state).includes(padIndex) ? 'order' : 'intrusion';
+}
+
+module.exports = {
+  type: 'simon-says',
+  label: 'Simon Says',
+  aliases: ['simon'],
+  eventAliases: ['press'],
+  hiddenState: true,
+  difficulties: {
+    easy: { pads: 4, startSpan: 2, maxSpan: 9, stepMs: 1000, attemptsPerLevel: 2 },
+    medium: { pads: 4, startSpan: 3, maxSpan: 12, stepMs: 800, attemptsPerLevel: 2 },
+    hard: { pads: 6, startSpan: 3, maxSpan: 15, stepMs: 600, attemptsPerLevel: 1 },
+  },
+  adaptive: {
+    startSpan: { min: 2, max: 5, step: 1, harder: 1 },
+    stepMs: { min: 400, max: 1200, step: 100, harder: -1 },
+  },
+  eventSchema: {
+    padIndex: { type: 'integer', min: 0 },
+    timedOut: { type: 'boolean' },
+  },
+  completeSchema: {
+    totalTime: { type: 'number', required: true, min: 0 },
+  },
+  statsMetrics: ['spanReached', 'stepLatency'],
+
+  start(session, config) {
+    const state = {
+      ...config,
+      sequence: generateSequence(session.seed, config.maxSpan, config.pads),
+      level: 1,
+      attempts: 0,
+      spanReached: 0,
+      finished: false,
+      errorTypes: Object.fromEntries(ERROR_TYPES.map(t => [t, 0])),
+    };
+    presentLevel(state, new Date());
+    session.state = state;
+    session.totalMatches = config.maxSpan - config.startSpan + 1; // levels available
+
+    return {
+      pads: config.pads,
+      stepMs: config.stepMs,
+      maxSpan: config.maxSpan,
+      level: state.level,
+      sequence: currentSequence(state),
+    };
+  },
+
+  event(session, { padIndex, timedOut }) {
+    const state = session.state;
+    if (state.finished) {
+      throw new ApiError(409, 'Sequence finished; complete the session', { code: 'GAME_FINISHED' });
+    }
+    if (!timedOut && padIndex === undefined) {
+      throw new ApiError(400, 'Invalid request', {
+        code: 'VALIDATION_ERROR',
+        details: [{ field: 'body.padIndex', message: 'is required unless timedOut is true' }],
+      });
+    }
+    if (!timedOut && padIndex >= state.pads) {
+      throw new ApiError(400, 'Invalid request', {
+        code: 'VALIDATION_ERROR',
+        details: [{ field: 'body.padIndex', message: `must be at most ${state.pads - 1}` }],
+      });
+    }
+
+    // Latency from the end of the sequence playback for the first step, from the previous press after that
+    const now = new Date();
+    const span = spanFor(state);
+    const from = state.lastPressAt
+      ? new Date(state.lastPressAt).getTime()
+      : new Date(state.presentedAt).getTime() + span * state.stepMs;
+    const latency = Math.max(0, now.getTime() - from);
+    state.lastPressAt = now;
+
+    const step = state.position;
+    const expected = state.sequence[step];
+    const correct = !timedOut && padIndex === expected;
+    const data = { level: state.level, step, padIndex: timedOut ? null : padIndex, expected, latency };
+    const response = { correct, level: state.level };
+
+    if (correct) {
+      state.position++;
+      if (state.position === span) {
+        state.spanReached = Math.max(state.spanReached, span);
+        response.levelComplete = true;
+        if (span >= state.maxSpan) {
+          state.finished = true;
+        } else {
+          state.level++;
+          state.attempts = 0;
+          presentLevel(state, now);
+          response.level = state.level;
+          response.sequence = currentSequence(state);
+        }
+      }
+    } else {
+      data.errorType = classifyError(state, padIndex, timedOut);
+      state.errorTypes[data.errorType]++;
+      state.attempts++;
+      response.errorType = data.errorType;
+      response.expected = expected;
+      if (state.attempts >= state.attemptsPerLevel) {
+        state.finished = true;
+      } else {
+        presentLevel(state, now);
+        response.retry = true;
+        response.sequence = currentSequence(state);
+      }
+    }
+
+    response.spanReached = state.spanReached;
+    response.finished = state.finished;
+    return { kind: 'press', correct, data, response };
+  },
+
+  // The current level is played back again from its first step; this is not an extra attempt
+  resume(session) {
+    const state = session.state;
+    if (!state.finished) presentLevel(state, new Date());
+    return {
+      pads: state.pads,
+      stepMs: state.stepMs,
+      maxSpan: state.maxSpan,
+      level: state.level,
+      sequence: currentSequence(state),
+      spanReached: state.spanReached,
+      finished: state.finished,
+    };
+  },
+
+  complete(session) {
+    const state = session.state;
+    const latencies = session.events.filter(e => e.kind === 'press').map(e => e.data.latency);
+
+    // Step latency replaces the between-press timing, which includes sequence playback
+    if (latencies.length > 0) {
+      session.reactionTime = Math.round(mean(latencies));
+      session.consistency = consistencyScore(latencies);
+    }
+
+    const levelsCompleted = state.spanReached > 0 ? state.spanReached - state.startSpan + 1 : 0;
+    session.metrics = {
+      spanReached: state.spanReached,
+      levelsCompleted,
+      stepLatency: session.reactionTime,
+      errorTypes: state.errorTypes,
+      presses: latencies.length,
+    };
+
+    // Span counts most; accuracy rewards few wrong presses along the way
+    const spanScore = clampPercent((state.spanReached / state.maxSpan) * 100);
+    session.score = Math.round(spanScore * 0.7 + (session.accuracy || 0) * 0.3);
+    return { sequence: currentSequence(state) };
+  },
+
+  summarize(games) {
+    return { bestSpan: Math.max(...games.map(g => (g.metrics && g.metrics.spanReached) || 0)) };
+  },
+};
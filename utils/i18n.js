@@ -0,0 +1,91 @@
+/**
+ * Questionnaire localization
+ *
+ * Questionnaires are written in `defaultLocale`. Translations live next to the
+ * source text: `translations.<locale>` on the questionnaire (name, fullName,
+ * description, answerOptions - same order as the source options) and
+ * `questions[].translations.<locale>` for each question's text.
+ */
+
+const entriesOf = (value) => (value instanceof Map ? [...value.entries()] : Object.entries(value || {}));
+
+/**
+ * Locales a questionnaire can be shown in, default first
+ */
+function availableLocales(questionnaire) {
+  const defaultLocale = questionnaire.defaultLocale || 'en';
+  const locales = entriesOf(questionnaire.translations).map(([locale]) => locale);
+  return [defaultLocale, ...locales.filter(l => l !== defaultLocale)];
+}
+
+/**
+ * Requested locales, most preferred first: ?lang= wins over Accept-Language
+ * (e.g. "es-MX,es;q=0.9,en;q=0.8")
+ */
+function requestedLocales(req) {
+  if (req.query && typeof req.query.lang === 'string' && req.query.lang.trim()) {
+    return [req.query.lang.trim()];
+  }
+  const header = req.headers && req.headers['accept-language'];
+  if (!header) return [];
+
+  return header.split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag: tag.trim(), q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Best supported locale for the request; "es-MX" falls back to "es" and the
+ * questionnaire's default locale is used when nothing matches
+ */
+function resolveLocale(req, questionnaire) {
+  const supported = availableLocales(questionnaire);
+  const base = (tag) => tag.toLowerCase().split('-')[0];
+
+  for (const tag of requestedLocales(req)) {
+    const exact = supported.find(l => l.toLowerCase() === tag.toLowerCase());
+    if (exact) return exact;
+    const sameLanguage = supported.find(l => base(l) === base(tag));
+    if (sameLanguage) return sameLanguage;
+  }
+  return supported[0];
+}
+
+/**
+ * Plain copy of a questionnaire with its text in `locale`.
+ * Untranslated strings stay in the source language. The source answer options
+ * are returned as `answerOptionValues`; either form is accepted on submit.
+ */
+function localizeQuestionnaire(questionnaire, locale) {
+  const plain = typeof questionnaire.toObject === 'function'
+    ? questionnaire.toObject({ flattenMaps: true })
+    : { ...questionnaire };
+  const translation = (plain.translations || {})[locale] || {};
+
+  const answerOptions = (plain.answerOptions || []).map((option, idx) =>
+    (translation.answerOptions && translation.answerOptions[idx]) || option);
+
+  return {
+    ...plain,
+    name: translation.name || plain.name,
+    fullName: translation.fullName || plain.fullName,
+    description: translation.description || plain.description,
+    answerOptions,
+    answerOptionValues: plain.answerOptions || [],
+    questions: (plain.questions || []).map(q => ({
+      ...q,
+      text: (q.translations || {})[locale] || q.text,
+      sourceText: q.text
+    })),
+    locale,
+    availableLocales: availableLocales(plain)
+  };
+}
+
+module.exports = { availableLocales, requestedLocales, resolveLocale, localizeQuestionnaire };
@@ -0,0 +1,105 @@
+/**
+ * Mail Service
+ *
+ * Supported transports (MAIL_TRANSPORT):
+ * 1. smtp    - Real delivery through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ * 2. file    - Writes each message as JSON into MAIL_OUTBOX_DIR, for local testing
+ * 3. console - Logs messages to stdout (default outside production)
+ *
+ * In production (NODE_ENV=production) MAIL_TRANSPORT is required and console is
+ * refused, so reset and verification links never end up in the logs.
+ *
+ * Every transport exposes send({ to, subject, text, html }) and resolves with
+ * an object describing where the message went.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'PredictASD <no-reply@predictasd.app>';
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: String(process.env.SMTP_SECURE).toLowerCase() === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({ from: DEFAULT_FROM, ...message });
+      return { transport: 'smtp', messageId: info.messageId };
+    }
+  };
+}
+
+function createFileTransport(dir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'predict-asd-mail')) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      const payload = { from: DEFAULT_FROM, ...message, sentAt: new Date().toISOString() };
+      await fs.promises.writeFile(file, JSON.stringify(payload, null, 2));
+      return { transport: 'file', file };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`[Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { transport: 'console' };
+    }
+  };
+}
+
+let transport = null;
+
+/**
+ * Transport selected by MAIL_TRANSPORT, created on first use
+ */
+function getTransport() {
+  if (transport) return transport;
+
+  const kind = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  if (kind === 'smtp') transport = createSmtpTransport();
+  else if (kind === 'file') transport = createFileTransport();
+  else if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be smtp or file in production; console would log links to stdout');
+  } else transport = createConsoleTransport();
+
+  return transport;
+}
+
+/**
+ * Replace the active transport (e.g. with a stub in scripts)
+ */
+function setTransport(next) {
+  transport = next;
+}
+
+/**
+ * Send a message through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ */
+async function sendMail(message) {
+  return getTransport().send(message);
+}
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport
+};
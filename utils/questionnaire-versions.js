@@ -0,0 +1,167 @@
+/**
+ * Questionnaire versioning helpers
+ *
+ * Questionnaire documents are the editable "head"; QuestionnaireVersion holds
+ * immutable snapshots. Assessments pin questionnaireVersion so their answers
+ * and scores keep their meaning after the questionnaire is edited.
+ */
+
+const QuestionnaireVersion = require('../models/QuestionnaireVersion');
+
+// Fields that define what an assessment was taken on
+const VERSIONED_FIELDS = [
+  'name',
+  'fullName',
+  'description',
+  'questions',
+  'answerOptions',
+  'scoringRules',
+  'scoringInfo',
+  'defaultLocale',
+  'translations',
+  'duration',
+  'ageRange',
+  'ageRangeMonths',
+  'followUpEnabled',
+  'followUpScoringRules'
+];
+
+/**
+ * Plain copy of the versioned fields of a questionnaire (Maps flattened)
+ */
+function snapshotOf(questionnaire) {
+  const plain = typeof questionnaire.toObject === 'function'
+    ? questionnaire.toObject({ flattenMaps: true, depopulate: true })
+    : questionnaire;
+
+  const snapshot = {};
+  VERSIONED_FIELDS.forEach((field) => {
+    if (plain[field] !== undefined) snapshot[field] = JSON.parse(JSON.stringify(plain[field]));
+  });
+  return snapshot;
+}
+
+// Snapshot reduced to what matters for comparing content: keys sorted, unset values and _ids dropped
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).sort().forEach((key) => {
+      if (key !== '_id' && value[key] !== undefined && value[key] !== null) result[key] = canonical(value[key]);
+    });
+    return result;
+  }
+  return value;
+};
+
+/**
+ * Whether the questionnaire's content differs from a stored version (questions,
+ * options, scoring, translations and the other VERSIONED_FIELDS)
+ */
+function contentDiffers(questionnaire, version) {
+  if (!version) return true;
+  return JSON.stringify(canonical(snapshotOf(questionnaire))) !== JSON.stringify(canonical(snapshotOf(version)));
+}
+
+/**
+ * Store the questionnaire's current content as version `questionnaire.currentVersion`
+ */
+async function saveVersion(questionnaire, userId, changeNote) {
+  return QuestionnaireVersion.create({
+    ...snapshotOf(questionnaire),
+    questionnaireId: questionnaire._id,
+    version: questionnaire.currentVersion || 1,
+    changeNote,
+    createdBy: userId
+  });
+}
+
+/**
+ * Make sure the questionnaire's current content has a snapshot.
+ * Questionnaires created before versioning get version 1 on first use.
+ * @returns {Object} the QuestionnaireVersion document
+ */
+async function ensureCurrentVersion(questionnaire) {
+  const version = questionnaire.currentVersion || 1;
+  const existing = await QuestionnaireVersion.findOne({ questionnaireId: questionnaire._id, version });
+  if (existing) return existing;
+
+  try {
+    return await saveVersion(questionnaire, questionnaire.createdBy, 'Initial version');
+  } catch (err) {
+    // Another request created it first
+    if (err.code === 11000) return QuestionnaireVersion.findOne({ questionnaireId: questionnaire._id, version });
+    throw err;
+  }
+}
+
+/**
+ * Load a specific version
+ */
+async function loadVersion(questionnaireId, version) {
+  return QuestionnaireVersion.findOne({ questionnaireId, version: Number(version) });
+}
+
+/**
+ * The questionnaire content an assessment was taken on.
+ * Assessments from before versioning are treated as version 1; falls back to
+ * the head document when no snapshot exists yet.
+ */
+async function questionnaireForAssessment(assessment, head) {
+  const questionnaireId = assessment.questionnaireId._id || assessment.questionnaireId;
+  const pinned = await loadVersion(questionnaireId, assessment.questionnaireVersion || 1);
+  return pinned || head;
+}
+
+const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Compare two snapshots. Questions are matched by questionId, so inserting or
+ * reordering questions only shows up as `order` changes; snapshots from before
+ * question IDs are matched by `order`.
+ * @returns {Object} { fields, questions: { added, removed, changed } }
+ */
+function diffVersions(from, to) {
+  const a = snapshotOf(from);
+  const b = snapshotOf(to);
+
+  const fields = {};
+  VERSIONED_FIELDS.filter(f => f !== 'questions').forEach((field) => {
+    if (!same(a[field], b[field])) fields[field] = { from: a[field], to: b[field] };
+  });
+
+  const hasIds = (questions = []) => questions.every(q => q.questionId);
+  const keyOf = hasIds(a.questions) && hasIds(b.questions) ? (q => q.questionId) : (q => q.order);
+  const byKey = (questions = []) => new Map(questions.map(q => [keyOf(q), q]));
+  const before = byKey(a.questions);
+  const after = byKey(b.questions);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  after.forEach((q, key) => {
+    if (!before.has(key)) added.push(q);
+  });
+  before.forEach((q, key) => {
+    if (!after.has(key)) { removed.push(q); return; }
+    const next = after.get(key);
+    const changes = {};
+    new Set([...Object.keys(q), ...Object.keys(next)]).forEach((field) => {
+      if (!same(q[field], next[field])) changes[field] = { from: q[field], to: next[field] };
+    });
+    if (Object.keys(changes).length > 0) changed.push({ questionId: next.questionId, order: next.order, changes });
+  });
+
+  return { fields, questions: { added, removed, changed } };
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  snapshotOf,
+  contentDiffers,
+  saveVersion,
+  ensureCurrentVersion,
+  loadVersion,
+  questionnaireForAssessment,
+  diffVersions
+};
@@ -0,0 +1,239 @@
+/**
+ * Question identity helpers
+ *
+ * Every question carries a persistent `questionId` ("q1", "q2", ...) that
+ * survives edits and translations. Assessment answers are keyed by it, so
+ * scoring and attempt comparisons don't depend on the wording or language.
+ */
+
+const ID_PATTERN = /^q(\d+)$/;
+
+const normalizeText = (text) => String(text || '').trim().toLowerCase();
+
+// Key answers are stored under; questions saved before IDs existed fall back to their text
+const questionKey = (question) => question.questionId || question.text;
+
+/**
+ * Give every question without a questionId the next free "q<n>".
+ * Legacy questionnaires end up with q1..qN in array order. Mutates in place.
+ */
+function assignQuestionIds(questions = []) {
+  let next = 1;
+  questions.forEach((q) => {
+    const m = ID_PATTERN.exec(q.questionId || '');
+    if (m) next = Math.max(next, Number(m[1]) + 1);
+  });
+  questions.forEach((q) => {
+    if (!q.questionId) q.questionId = `q${next++}`;
+  });
+  return questions;
+}
+
+/**
+ * Copy questionIds from the saved questions onto an edited list that omits them,
+ * matching by text first and then by order, so a reworded question keeps its ID.
+ * @returns {Array} the incoming questions
+ */
+function carryQuestionIds(existing = [], incoming = []) {
+  const taken = new Set(incoming.map(q => q.questionId).filter(Boolean));
+  const available = existing.filter(q => q.questionId && !taken.has(q.questionId));
+
+  const claim = (match) => {
+    if (!match) return null;
+    available.splice(available.indexOf(match), 1);
+    return match.questionId;
+  };
+
+  const pending = incoming.filter(q => !q.questionId);
+  pending.forEach((q) => {
+    const id = claim(available.find(e => normalizeText(e.text) === normalizeText(q.text)));
+    if (id) q.questionId = id;
+  });
+  pending.filter(q => !q.questionId).forEach((q) => {
+    const id = claim(available.find(e => e.order === q.order));
+    if (id) q.questionId = id;
+  });
+  return incoming;
+}
+
+/**
+ * Lookup from any way a client may refer to a question - questionId, source
+ * text, translated text or order - to the question itself
+ */
+function buildAnswerKeyLookup(questions = []) {
+  const byKey = new Map();
+  questions.forEach((q) => {
+    if (q.order !== undefined && q.order !== null) byKey.set(String(q.order), q);
+    const translations = q.translations instanceof Map ? [...q.translations.values()] : Object.values(q.translations || {});
+    translations.forEach(text => byKey.set(normalizeText(text), q));
+    if (q.text) byKey.set(normalizeText(q.text), q);
+  });
+  questions.forEach((q) => {
+    if (q.questionId) byKey.set(normalizeText(q.questionId), q);
+  });
+  return (key) => byKey.get(normalizeText(key));
+}
+
+/**
+ * Translated answer option labels → source option values, for every locale
+ */
+function buildOptionLookup(questionnaire) {
+  const source = questionnaire.answerOptions || [];
+  const byLabel = new Map();
+  const translations = questionnaire.translations instanceof Map
+    ? [...questionnaire.translations.values()]
+    : Object.values(questionnaire.translations || {});
+  translations.forEach((t) => {
+    (t && t.answerOptions ? t.answerOptions : []).forEach((label, idx) => {
+      if (source[idx] !== undefined) byLabel.set(normalizeText(label), source[idx]);
+    });
+  });
+  // Source values win over a translation that happens to use the same word
+  source.forEach(option => byLabel.set(normalizeText(option), option));
+  return (value) => (typeof value === 'string' ? byLabel.get(normalizeText(value)) : undefined);
+}
+
+const optionScoreEntries = (question) => (question.optionScores instanceof Map
+  ? [...question.optionScores.entries()]
+  : Object.entries(question.optionScores || {}));
+
+// Options a question accepts: its optionScores keys, else the questionnaire's answerOptions
+const allowedOptions = (question, questionnaire) => {
+  const scored = optionScoreEntries(question).map(([option]) => option);
+  return scored.length > 0 ? scored : (questionnaire.answerOptions || []);
+};
+
+const NUMERIC = /^\s*-?\d+(\.\d+)?\s*$/;
+const isNumeric = (value) => typeof value === 'number' || (typeof value === 'string' && NUMERIC.test(value));
+
+/**
+ * Option a numeric answer stands for: the option scored that number (optionScores,
+ * or a numeric-coded answerOption like "2 Often"), else the option at that index.
+ * The scorer only knows option labels, so numbers are turned into labels before scoring.
+ * @returns {String|undefined}
+ */
+function optionForNumber(value, question, questionnaire) {
+  const n = Number(value);
+  const options = allowedOptions(question, questionnaire);
+  const scored = optionScoreEntries(question);
+  const byScore = scored.length > 0
+    ? scored.find(([, score]) => Number(score) === n)
+    : options.map(o => [o, Number((/^\s*(\d+)\s+/.exec(o) || [])[1])]).find(([, code]) => code === n);
+  if (byScore) return byScore[0];
+  return Number.isInteger(n) && n >= 0 && n < options.length ? options[n] : undefined;
+}
+
+/**
+ * Rewrite submitted answers to { <questionKey>: <source option value> }.
+ * Translated labels, option indices and option scores become the option label;
+ * keys or values that don't match anything are kept as sent.
+ */
+function normalizeAnswers(answers, questionnaire) {
+  if (!answers || typeof answers !== 'object') return answers;
+  const findQuestion = buildAnswerKeyLookup(questionnaire.questions);
+  const findOption = buildOptionLookup(questionnaire);
+
+  const normalized = {};
+  Object.entries(answers).forEach(([key, value]) => {
+    const question = findQuestion(key);
+    let option = findOption(value);
+    if (option === undefined && question && isNumeric(value)) option = optionForNumber(value, question, questionnaire);
+    normalized[question ? questionKey(question) : key] = option !== undefined ? option : value;
+  });
+  return normalized;
+}
+
+
+/**
+ * Check normalized answers against the questionnaire.
+ * normalizeAnswers has already turned valid option indices and scores into
+ * labels, so any number left over is rejected.
+ * @param {Object} options - { partial: true } skips the missing-question check (autosave)
+ * @returns {Array} [{ field, message }] - empty when valid
+ */
+function validateAnswers(answers, questionnaire, { partial = false } = {}) {
+  const questions = questionnaire.questions || [];
+  const byKey = new Map(questions.map(q => [questionKey(q), q]));
+  const details = [];
+
+  Object.entries(answers || {}).forEach(([key, value]) => {
+    const question = byKey.get(key);
+    if (!question) {
+      details.push({ field: `answers.${key}`, message: 'Unknown question' });
+      return;
+    }
+    if (value === null || value === undefined || value === '') return;
+
+    const options = allowedOptions(question, questionnaire);
+    if (isNumeric(value)) {
+      const message = options.length > 0
+        ? `Must be one of: ${options.join(', ')} or an option index 0-${options.length - 1}`
+        : 'Numeric answers are not accepted for this question';
+      details.push({ field: `answers.${key}`, message });
+      return;
+    }
+
+    const allowed = options.some(o => normalizeText(o) === normalizeText(value));
+    if (options.length > 0 && !allowed) {
+      details.push({ field: `answers.${key}`, message: `Must be one of: ${options.join(', ')}` });
+    }
+  });
+
+  if (!partial) {
+    questions.forEach((q) => {
+      const value = (answers || {})[questionKey(q)];
+      if (value === null || value === undefined || value === '') {
+        details.push({ field: `answers.${questionKey(q)}`, message: 'Answer is required' });
+      }
+    });
+  }
+  return details;
+}
+
+/**
+ * Answers keyed by question text, for prompts and reports meant for people
+ */
+function answersByText(answers, questionnaire) {
+  if (!questionnaire || !questionnaire.questions) return answers;
+  const findQuestion = buildAnswerKeyLookup(questionnaire.questions);
+  const readable = {};
+  Object.entries(answers || {}).forEach(([key, value]) => {
+    const question = findQuestion(key);
+    readable[question ? question.text : key] = value;
+  });
+  return readable;
+}
+
+/**
+ * Items whose answer differs between two attempts, matched by questionId
+ * @returns {Array} [{ questionId, question, from, to }]
+ */
+function compareAnswers(before, after, questionnaire) {
+  const findQuestion = buildAnswerKeyLookup((questionnaire && questionnaire.questions) || []);
+  const keyOf = (key) => {
+    const question = findQuestion(key);
+    return question ? questionKey(question) : key;
+  };
+  const index = (answers) => new Map(Object.entries(answers || {}).map(([k, v]) => [keyOf(k), v]));
+
+  const a = index(before);
+  const b = index(after);
+  const changes = [];
+  new Set([...a.keys(), ...b.keys()]).forEach((key) => {
+    if (normalizeText(a.get(key)) === normalizeText(b.get(key))) return;
+    const question = findQuestion(key);
+    changes.push({ questionId: key, question: question ? question.text : key, from: a.get(key), to: b.get(key) });
+  });
+  return changes;
+}
+
+module.exports = {
+  questionKey,
+  assignQuestionIds,
+  carryQuestionIds,
+  buildAnswerKeyLookup,
+  normalizeAnswers,
+  validateAnswers,
+  answersByText,
+  compareAnswers
+};
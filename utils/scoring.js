@@ -0,0 +1,172 @@
+/**
+ * Questionnaire scoring
+ *
+ * computeScore(answers, questionnaire) scores each answer against its question:
+ * 1. question.optionScores - explicit option → score map (case-insensitive)
+ * 2. otherwise the questionnaire-wide fallback (yes/no count, numeric-coded
+ *    answerOptions like "2 Often", or option index)
+ * Answers are option labels; utils/questions normalizeAnswers turns numeric
+ * answers into labels before they get here.
+ * question.reverseScored flips the item score within its scale, critical items
+ * that score above 0 count as failed, and item scores are summed per domain.
+ */
+
+// Detect numeric-coded options like "0 Never", "1 Sometimes" and build a map
+function buildOptionScoreMap(opts = []) {
+  const map = new Map();
+  opts.forEach((opt, idx) => {
+    if (typeof opt === 'string') {
+      const m = opt.match(/^\s*(\d+)\s+/);
+      if (m) {
+        map.set(opt, Number(m[1]));
+      } else {
+        map.set(opt, idx); // fallback to index scoring
+      }
+    }
+  });
+  return map;
+}
+
+const lookupCaseInsensitive = (map, value) => {
+  if (typeof value !== 'string') return undefined;
+  if (map.has(value)) return map.get(value);
+  const found = [...map.keys()].find(k => k.toLowerCase() === value.toLowerCase());
+  return found !== undefined ? map.get(found) : undefined;
+};
+
+const isYesNo = (v) => typeof v === 'string' && ['yes', 'no'].includes(v.toLowerCase());
+
+// optionScores may be a Mongoose Map or a plain object (lean docs / request bodies)
+const toMap = (optionScores) => {
+  if (!optionScores) return null;
+  const entries = optionScores instanceof Map ? [...optionScores.entries()] : Object.entries(optionScores);
+  return entries.length > 0 ? new Map(entries.map(([k, v]) => [k, Number(v)])) : null;
+};
+
+/**
+ * Questionnaire-wide scoring used when a question has no optionScores.
+ * Picks the same mode the scorer always used so legacy totals do not change.
+ * @returns {Function} answer => { score, min, max }
+ */
+function buildFallbackScorer(answerValues, questionnaire) {
+  if (answerValues.length > 0 && answerValues.every(isYesNo)) {
+    // Yes/No style → count yes
+    return (v) => ({ score: isYesNo(v) && v.toLowerCase() === 'yes' ? 1 : 0, min: 0, max: 1 });
+  }
+
+  if (Array.isArray(questionnaire.answerOptions) && questionnaire.answerOptions.length > 0) {
+    // Multi-choice using shared answerOptions across questions
+    const scoreMap = buildOptionScoreMap(questionnaire.answerOptions);
+    const values = [...scoreMap.values()];
+    const min = values.length ? Math.min(...values) : 0;
+    const max = values.length ? Math.max(...values) : 0;
+    return (v) => ({ score: lookupCaseInsensitive(scoreMap, v) || 0, min, max });
+  }
+
+  // No options to score against: free-text answers score 0
+  return () => ({ score: 0, min: null, max: null });
+}
+
+/**
+ * Find the question an answer key refers to (questionId, question text or order)
+ */
+function buildQuestionLookup(questions = []) {
+  const byKey = new Map();
+  questions.forEach((q) => {
+    if (q.text) byKey.set(String(q.text).trim().toLowerCase(), q);
+    if (q.order !== undefined && q.order !== null) byKey.set(String(q.order), q);
+  });
+  // Answers are keyed by questionId; it wins over text/order collisions
+  questions.forEach((q) => {
+    if (q.questionId) byKey.set(String(q.questionId).trim().toLowerCase(), q);
+  });
+  return (key) => byKey.get(String(key).trim().toLowerCase());
+}
+
+/**
+ * Score a single answer, applying reverse scoring when the question asks for it
+ * @returns {Number}
+ */
+function scoreItem(question, answer, fallback) {
+  const optionMap = question ? toMap(question.optionScores) : null;
+
+  let item;
+  if (optionMap) {
+    const values = [...optionMap.values()];
+    item = { score: lookupCaseInsensitive(optionMap, answer) || 0, min: Math.min(...values), max: Math.max(...values) };
+  } else {
+    item = fallback(answer);
+  }
+
+  let score = item.score;
+  if (question && question.reverseScored && item.min !== null && item.max !== null) {
+    score = item.max + item.min - score;
+  }
+  return score;
+}
+
+/**
+ * Map a total score to a risk level using the questionnaire's scoringRules
+ */
+function riskForScore(totalScore, questionnaire) {
+  let risk = 'Low';
+  if (questionnaire.scoringRules && questionnaire.scoringRules.length > 0) {
+    for (const rule of questionnaire.scoringRules) {
+      const inRange = totalScore >= rule.minScore &&
+        (rule.maxScore === undefined || rule.maxScore === null || totalScore <= rule.maxScore);
+      if (inRange) { risk = rule.riskLevel; break; }
+    }
+  } else {
+    // Generic fallback thresholds for yes/no-like totals
+    if (totalScore >= 3 && totalScore <= 6) risk = 'Medium';
+    else if (totalScore > 6) risk = 'High';
+  }
+  return risk;
+}
+
+/**
+ * Dynamic scoring function based on questionnaire's question metadata and scoringRules
+ * @param {Object} answers - { <question key>: <answer> }
+ * @param {Object} questionnaire - Questionnaire document
+ * @returns {Object} { score, risk, subscores, criticalFailures, itemScores }
+ */
+function computeScore(answers, questionnaire) {
+  const entries = Object.entries(answers || {});
+  const fallback = buildFallbackScorer(entries.map(([, v]) => v), questionnaire);
+  const findQuestion = buildQuestionLookup(questionnaire.questions);
+
+  let totalScore = 0;
+  let criticalFailures = 0;
+  const subscores = {};
+  const itemScores = {};
+
+  const addToSubscore = (key, score) => {
+    if (!subscores[key]) subscores[key] = { score: 0, items: 0, failedItems: 0 };
+    subscores[key].score += score;
+    subscores[key].items++;
+    if (score > 0) subscores[key].failedItems++;
+  };
+
+  entries.forEach(([key, answer]) => {
+    const question = findQuestion(key);
+    const score = scoreItem(question, answer, fallback);
+    totalScore += score;
+    itemScores[key] = score;
+
+    if (question && question.critical && score > 0) criticalFailures++;
+
+    // Domains are keyed by name, subscales as "<domain>/<subscale>"
+    if (question && question.domain) addToSubscore(question.domain, score);
+    if (question && question.subscale) addToSubscore(`${question.domain || 'general'}/${question.subscale}`, score);
+  });
+
+  return {
+    score: totalScore,
+    risk: riskForScore(totalScore, questionnaire),
+    subscores,
+    criticalFailures,
+    itemScores
+  };
+}
+
+module.exports = { computeScore, riskForScore, buildOptionScoreMap, buildQuestionLookup };
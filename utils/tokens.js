@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const AuthToken = require('../models/AuthToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token. `tv` carries the user's tokenVersion so
+ * requireAuth can reject tokens issued before a logout-all.
+ */
+function signAccessToken(user) {
+  return jwt.sign(
+    { id: user._id, email: user.email, role: user.role, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Create and store a new refresh token for the user.
+ * @returns {Object} { refreshToken, record }
+ */
+async function createRefreshToken(user, userAgent) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const record = new RefreshToken({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent
+  });
+  await record.save();
+  return { refreshToken, record };
+}
+
+/**
+ * Issue an access/refresh token pair (login, register, refresh)
+ */
+async function issueTokens(user, userAgent) {
+  const { refreshToken } = await createRefreshToken(user, userAgent);
+  return { token: signAccessToken(user), refreshToken };
+}
+
+/**
+ * Revoke every outstanding refresh token of a user
+ */
+async function revokeAllRefreshTokens(userId) {
+  await RefreshToken.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+/**
+ * Create a single-use emailed token (password reset, email verification).
+ * Earlier unused tokens of the same purpose are invalidated.
+ * @returns {String} raw token to put in the email link
+ */
+async function createAuthToken(userId, purpose, ttlMs) {
+  await AuthToken.updateMany({ userId, purpose, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+}
+
+/**
+ * Atomically mark an emailed token as used
+ * @returns {Object|null} the token record, or null if unknown, expired or already used
+ */
+async function consumeAuthToken(token, purpose) {
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  signAccessToken,
+  createRefreshToken,
+  issueTokens,
+  revokeAllRefreshTokens,
+  createAuthToken,
+  consumeAuthToken
+};